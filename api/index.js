@@ -1,53 +1,28 @@
 // Vercel serverless function entry point
-const express = require('express');
-const multer = require('multer');
-const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
 const CalendarConverter = require('../calendar-converter');
+const { createApp } = require('../lib/app');
+const { CalendarStore } = require('../lib/calendar-store');
+const { JobQueue } = require('../lib/jobs');
+const { AccessControl, accessConfigFromEnv, corsOptionsFromEnv, trustProxyFromEnv } = require('../lib/access');
+const { providerConfigFromEnv } = require('../providers');
 
 // Load environment variables (for local development)
 // Note: Vercel automatically injects environment variables, dotenv is only for local dev
 require('dotenv').config();
 
-const app = express();
-
-// Configure multer for file uploads (using memory storage for serverless)
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
-    }
-});
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    if (!res.headersSent) {
-        res.status(500).json({ 
-            error: 'Internal server error',
-            message: process.env.NODE_ENV === 'development' ? err.message : 'An error occurred'
-        });
-    }
-});
-
-// Serve static files from frontend
-app.use(express.static(path.join(__dirname, '../frontend')));
-
-const API_KEY = process.env.GEMINI_API_KEY;
+const providerConfig = providerConfigFromEnv();
+providerConfig.dateOrder = process.env.DATE_ORDER;
 
 // Debug logging (will show in Vercel logs)
 console.log('Environment check:');
 console.log('- NODE_ENV:', process.env.NODE_ENV);
-console.log('- GEMINI_API_KEY exists:', !!API_KEY);
-console.log('- GEMINI_API_KEY length:', API_KEY ? API_KEY.length : 0);
-console.log('- All env vars:', Object.keys(process.env).filter(k => k.includes('GEMINI') || k.includes('VERCEL')));
+console.log('- LLM_PROVIDER:', providerConfig.provider);
+console.log('- Provider API key exists:', !!providerConfig.apiKey);
+console.log('- Provider API key length:', providerConfig.apiKey ? providerConfig.apiKey.length : 0);
+console.log('- All env vars:', Object.keys(process.env).filter(k => k.includes('GEMINI') || k.includes('LLM_') || k.includes('VERCEL')));
 
-if (!API_KEY) {
+const missingApiKey = providerConfig.provider === 'gemini' && !providerConfig.apiKey;
+if (missingApiKey) {
     console.error('ERROR: GEMINI_API_KEY environment variable is required');
     console.error('Available environment variables:', Object.keys(process.env).slice(0, 20));
     // Don't create converter if API key is missing - will fail on first request
@@ -55,9 +30,9 @@ if (!API_KEY) {
 
 let converter;
 try {
-    if (API_KEY) {
-        console.log('Initializing CalendarConverter with API key...');
-        converter = new CalendarConverter(API_KEY);
+    if (!missingApiKey) {
+        console.log(`Initializing CalendarConverter with ${providerConfig.provider} provider...`);
+        converter = new CalendarConverter(providerConfig);
         console.log('CalendarConverter initialized successfully');
     } else {
         console.warn('CalendarConverter not initialized - API key missing');
@@ -67,158 +42,28 @@ try {
     console.error('Error stack:', error.stack);
 }
 
-/**
- * Helper function to convert buffer to image format for Gemini
- */
-function bufferToImagePart(buffer, mimeType) {
-    const base64Image = buffer.toString('base64');
-    return {
-        inlineData: {
-            data: base64Image,
-            mimeType: mimeType
-        }
-    };
-}
-
-function getMimeType(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    const mimeTypes = {
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.gif': 'image/gif',
-        '.bmp': 'image/bmp',
-        '.webp': 'image/webp'
-    };
-    return mimeTypes[ext] || 'image/jpeg';
-}
-
-function isImageFile(filename) {
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
-    return imageExtensions.includes(path.extname(filename).toLowerCase());
-}
-
-// API Routes
-
-app.post('/api/convert/text', async (req, res) => {
-    try {
-        if (!converter) {
-            return res.status(500).json({ error: 'Calendar converter not initialized. GEMINI_API_KEY is required.' });
-        }
-
-        const { text } = req.body;
-        
-        if (!text || typeof text !== 'string') {
-            return res.status(400).json({ error: 'Text input is required' });
-        }
-
-        console.log('Processing text input...');
-        const eventsData = await converter.extractCalendarInfo(text, false);
-        
-        const events = [];
-        for (const eventData of eventsData.events || []) {
-            const startDate = converter.parseDateTime(eventData.start_time);
-            const endDate = eventData.end_time 
-                ? converter.parseDateTime(eventData.end_time)
-                : new Date(startDate.getTime() + 60 * 60 * 1000);
-
-            events.push({
-                title: eventData.title || 'Untitled Event',
-                start: converter.dateToICSArray(startDate),
-                end: converter.dateToICSArray(endDate),
-                description: eventData.description || '',
-                location: eventData.location || '',
-                attendees: eventData.attendees || []
-            });
-        }
-
-        const { createEvents } = require('ics');
-        const { error, value } = createEvents(events);
-
-        if (error) {
-            throw new Error(`Error creating calendar: ${error}`);
-        }
-
-        res.setHeader('Content-Type', 'text/calendar');
-        res.setHeader('Content-Disposition', 'attachment; filename="calendar.ics"');
-        res.send(value);
-    } catch (error) {
-        console.error('Error processing text:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-app.post('/api/convert/file', upload.single('file'), async (req, res) => {
-    try {
-        if (!converter) {
-            return res.status(500).json({ error: 'Calendar converter not initialized. GEMINI_API_KEY is required.' });
-        }
-
-        if (!req.file) {
-            return res.status(400).json({ error: 'File is required' });
-        }
-
-        const originalName = req.file.originalname;
-        const isImage = isImageFile(originalName);
-
-        let eventsData;
-        
-        if (isImage) {
-            console.log(`Processing image file: ${originalName}`);
-            const mimeType = getMimeType(originalName);
-            const imagePart = bufferToImagePart(req.file.buffer, mimeType);
-            eventsData = await converter.extractCalendarInfo(imagePart, true);
-        } else {
-            console.log(`Processing text file: ${originalName}`);
-            const text = req.file.buffer.toString('utf-8');
-            eventsData = await converter.extractCalendarInfo(text, false);
-        }
-
-        const events = [];
-        for (const eventData of eventsData.events || []) {
-            const startDate = converter.parseDateTime(eventData.start_time);
-            const endDate = eventData.end_time 
-                ? converter.parseDateTime(eventData.end_time)
-                : new Date(startDate.getTime() + 60 * 60 * 1000);
-
-            events.push({
-                title: eventData.title || 'Untitled Event',
-                start: converter.dateToICSArray(startDate),
-                end: converter.dateToICSArray(endDate),
-                description: eventData.description || '',
-                location: eventData.location || '',
-                attendees: eventData.attendees || []
-            });
-        }
-
-        const { createEvents } = require('ics');
-        const { error, value } = createEvents(events);
-
-        if (error) {
-            throw new Error(`Error creating calendar: ${error}`);
-        }
-
-        res.setHeader('Content-Type', 'text/calendar');
-        res.setHeader('Content-Disposition', 'attachment; filename="calendar.ics"');
-        res.send(value);
-    } catch (error) {
-        console.error('Error processing file:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        message: 'Calendar Converter API is running',
-        hasApiKey: !!process.env.GEMINI_API_KEY,
-        converterInitialized: !!converter
-    });
-});
-
-// Serve frontend
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, '../frontend', 'index.html'));
+// Requests reach the function through Vercel's proxy, which adds the client's IP to X-Forwarded-For:
+// trust that one hop only (unless TRUST_PROXY says otherwise), so clients can't dodge the per-IP
+// limits by sending an X-Forwarded-For of their own
+const trustProxy = trustProxyFromEnv();
+
+// Only /tmp is writable on Vercel, and it does not outlive the instance: point CALENDAR_STORE_DIR
+// at persistent storage for subscription feeds that last.
+// Jobs are kept in memory, so polling only works while requests reach the same warm instance,
+// and Vercel may pause it between requests; run server.js for jobs you can rely on.
+const app = createApp({
+    converter,
+    providerName: providerConfig.provider,
+    store: new CalendarStore(process.env.CALENDAR_STORE_DIR || '/tmp/calendars'),
+    publicUrl: process.env.PUBLIC_URL,
+    jobs: new JobQueue({
+        concurrency: process.env.JOB_CONCURRENCY,
+        retries: process.env.JOB_RETRIES
+    }),
+    // Rate limits and counters are per instance here, so they only slow down abuse
+    access: new AccessControl(accessConfigFromEnv()),
+    cors: corsOptionsFromEnv(),
+    trustProxy: trustProxy === undefined ? 1 : trustProxy
 });
 
 // Export for Vercel
@@ -2,75 +2,125 @@
 
 /**
  * Calendar Converter - Converts text, files, or images to ICS calendar files
- * using Google's Gemini API.
+ * using Google's Gemini API (or another configured LLM provider, see providers/).
  */
 
 const fs = require('fs');
 const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
 const { createEvents } = require('ics');
+const { createProvider, providerConfigFromEnv } = require('./providers');
+const { CalendarPipeline } = require('./lib/pipeline');
+const { parseReminders, remindersForEvent, buildAlarms } = require('./lib/reminders');
+const { EVENT_TYPES, normalizeEventType, applyEventColors } = require('./lib/event-types');
+const { resolveDeadlineMode, isDeadline, formatTodo } = require('./lib/todos');
+const { parseTerm, serializeTerm, describeTermForPrompt } = require('./lib/term');
+const { FORMATS, resolveFormat } = require('./lib/formats');
+const { isCalendarText } = require('./lib/merge');
+const { CONFIDENCE_PROMPT, annotateEvents } = require('./lib/confidence');
+const { JobQueue } = require('./lib/jobs');
+const { resolveRetryOptions, withRetry } = require('./lib/retry');
+const { ConversionError } = require('./lib/errors');
+const { ExtractionCache } = require('./lib/cache');
+const { validateEventsData, buildRepairPrompt } = require('./lib/validation');
+const {
+    resolveTimeZone,
+    zonedTimeToUtc,
+    getOffsetMinutes,
+    applyTimeZones,
+    getSystemTimeZone
+} = require('./lib/timezone');
+
+// RRULE BYDAY codes, indexed like Date#getDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DATE_ORDERS = ['MDY', 'DMY'];
+
+// Part of every extraction cache key: bump it when the extraction prompt's meaning or the
+// processing of its answer (validation, confidence checks) changes, so old results are not reused
+const PROMPT_VERSION = 2;
 
 class CalendarConverter {
-    constructor(apiKey) {
-        if (!apiKey) {
-            throw new Error(
-                'Gemini API key is required. Set GEMINI_API_KEY environment variable ' +
-                'or pass it via --api-key argument.'
-            );
+    /**
+     * @param {string|object} options - Gemini API key, or provider config
+     *   ({ provider, apiKey, model, baseUrl, ... }) or { provider: <provider instance> }.
+     *   Set repair: false to skip re-prompting the model when its output fails validation.
+     *   dateOrder ('MDY' or 'DMY') decides how ambiguous dates like 03/04/2024 are read.
+     *   retries and timeout (ms per attempt) control model calls, see lib/retry.
+     *   Extraction results are cached in memory (cacheSize entries) and in cacheDir when given;
+     *   cache: false turns the cache off.
+     */
+    constructor(options = {}) {
+        if (typeof options === 'string' || options === undefined || options === null) {
+            options = { provider: 'gemini', apiKey: options };
         }
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        // Use gemini-2.5-flash (confirmed available with your API key)
-        // This model supports both text and images
-        // CRITICAL: Must use exact model name 'gemini-2.5-flash' - no defaults
-        console.log('Initializing Gemini model: gemini-2.5-flash');
-        this.model = this.genAI.getGenerativeModel({ 
-            model: 'gemini-2.5-flash'
-        });
-        console.log('Model initialized successfully');
+        this.provider = typeof options.provider === 'object'
+            ? options.provider
+            : createProvider(options);
+        this.repair = options.repair !== false;
+        this.retryOptions = resolveRetryOptions({ retries: options.retries, timeout: options.timeout });
+        this.cache = options.cache === false
+            ? null
+            : new ExtractionCache({ dir: options.cacheDir, maxEntries: options.cacheSize });
+        this.dateOrder = String(options.dateOrder || 'MDY').toUpperCase();
+        if (!DATE_ORDERS.includes(this.dateOrder)) {
+            throw new Error(`Unsupported date order "${options.dateOrder}". Use MDY or DMY.`);
+        }
+        this.pipeline = new CalendarPipeline(this);
     }
 
     /**
-     * Read image file and convert to base64
+     * Build the provider parts for a prompt and its text or image content
      */
-    async readImage(imagePath) {
-        const imageBuffer = fs.readFileSync(imagePath);
-        const base64Image = imageBuffer.toString('base64');
-        const mimeType = this.getMimeType(imagePath);
-        return {
-            inlineData: {
-                data: base64Image,
-                mimeType: mimeType
-            }
-        };
+    buildParts(prompt, content, isImage) {
+        // Image content may be a single part or several (e.g. scanned PDF pages)
+        return isImage
+            ? [prompt, ...[].concat(content)]
+            : [`${prompt}\n\nContent:\n${content}`];
     }
 
     /**
-     * Get MIME type from file extension
+     * Call the provider, retrying rate limits and outages with backoff (see lib/retry)
+     * @param {object} context - { signal, onProgress } as for extractCalendarInfo; retries are
+     *   reported as a 'retrying' stage
      */
-    getMimeType(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        const mimeTypes = {
-            '.jpg': 'image/jpeg',
-            '.jpeg': 'image/jpeg',
-            '.png': 'image/png',
-            '.gif': 'image/gif',
-            '.bmp': 'image/bmp',
-            '.webp': 'image/webp'
-        };
-        return mimeTypes[ext] || 'image/jpeg';
+    async generate(parts, context = {}) {
+        return withRetry(signal => this.provider.generate(parts, { signal }), {
+            ...this.retryOptions,
+            signal: context.signal,
+            onRetry: (error, delay, attempt) => {
+                console.warn(`${error.message}, retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt} of ${this.retryOptions.retries})`);
+                if (context.onProgress) {
+                    context.onProgress('retrying', { code: error.code, delay, attempt });
+                }
+            }
+        });
     }
 
     /**
-     * Read text file content
+     * The extraction cache key: a hash of the prompt version, the model and settings that change
+     * its answer, and the prompt parts (the prompt, term and the input's text or image bytes)
      */
-    readFile(filePath) {
-        return fs.readFileSync(filePath, 'utf-8');
+    extractionCacheKey(parts) {
+        const hash = crypto.createHash('sha256');
+        hash.update(JSON.stringify([PROMPT_VERSION, this.provider.name, this.provider.modelName, this.dateOrder, this.repair]));
+        for (const part of parts) {
+            hash.update('\0');
+            hash.update(typeof part === 'string' ? part : `${part.inlineData.mimeType}:${part.inlineData.data}`);
+        }
+        return hash.digest('hex');
     }
 
     /**
-     * Extract calendar information using Gemini API
+     * Extract calendar information using the configured provider
+     * @param {object} context - { term: parsed term (see lib/term) the schedule belongs to,
+     *   signal: AbortSignal that cancels the model call,
+     *   cache: false to skip the extraction cache (the result is still stored),
+     *   onProgress(stage, details): called with 'cache' ({ hit }), 'model', 'retrying', 'repairing',
+     *   'parsing' and 'found' ({ events }) }
+     * @throws {ConversionError} when the model is rate limited, unavailable or rejects the input
      */
-    async extractCalendarInfo(content, isImage = false) {
+    async extractCalendarInfo(content, isImage = false, context = {}) {
         const prompt = `Extract ALL calendar events from the following content. This may be a full schedule with multiple events, a class schedule, a meeting calendar, or any list of events.
 
 Return a JSON object with the following structure:
@@ -78,11 +128,22 @@ Return a JSON object with the following structure:
     "events": [
         {
             "title": "Event title",
+            "type": "lecture | lab | exam | assignment | office_hours | holiday | meeting | other",
             "description": "Event description (optional)",
-            "start_time": "YYYY-MM-DD HH:MM or YYYY-MM-DD",
-            "end_time": "YYYY-MM-DD HH:MM or YYYY-MM-DD (optional, defaults to start_time + 1 hour)",
+            "start_time": "YYYY-MM-DD HH:MM, or YYYY-MM-DD for all-day events",
+            "end_time": "YYYY-MM-DD HH:MM, or the LAST day (YYYY-MM-DD) of an all-day event (optional, defaults to start_time + 1 hour)",
+            "all_day": true (only for events without a time of day, e.g. exam days, holidays, breaks),
             "location": "Event location (optional)",
-            "attendees": ["email1@example.com", "email2@example.com"] (optional)
+            "attendees": ["email1@example.com", "email2@example.com"] (optional),
+            "timezone": "IANA time zone, only if the content states one (e.g. \"3pm EST\" -> \"America/New_York\") (optional)",
+            "recurrence": {
+                "frequency": "DAILY | WEEKLY | MONTHLY | YEARLY",
+                "days": ["MO", "WE", "FR"],
+                "interval": 1,
+                "until": "YYYY-MM-DD (last day of the series, optional)",
+                "count": "number of occurrences (optional, use instead of until)",
+                "exclude_dates": ["YYYY-MM-DD"] (optional, e.g. holidays with no class)
+            } (optional, only for repeating events)
         }
     ]
 }
@@ -92,84 +153,258 @@ IMPORTANT:
 - If the content is a weekly schedule, extract all days and times
 - If it's a class schedule, extract all classes with their times
 - If it's a meeting calendar, extract all meetings
-- Parse recurring events as separate instances if dates are specified
-- If no specific time is mentioned for an event, use reasonable defaults (9:00 AM start time)
-- If only a date is given without time, assume 9:00 AM start time
-- For class schedules, extract each class session separately
+- Holidays, breaks, exam days, due dates without a time and other day-long events are all-day: set "all_day": true and give dates only (YYYY-MM-DD)
+- Multi-day ranges like "Spring Break March 10-14" are ONE all-day event with start_time the first day and end_time the last day
+- Only when the content clearly describes a timed event (a meeting, a class) but gives no time, use 9:00 AM and do not set all_day
+- For repeating events (class meetings, weekly meetings), return ONE event per series with a "recurrence" object instead of listing every session separately
+- For a recurring event, start_time and end_time are the first occurrence; put skipped dates (holidays, breaks) in "exclude_dates"
+- Use two-letter day codes in "days": MO, TU, WE, TH, FR, SA, SU (e.g. "MWF" is ["MO", "WE", "FR"], "TTh" is ["TU", "TH"])
+- Set "type" from what the event is: tests, quizzes and finals are "exam"; homework, projects, papers and other due dates are "assignment"; class meetings are "lecture" (or "lab"); office hours are "office_hours"; breaks and days off are "holiday"
+- For deadlines (e.g. "HW3 due Friday 11:59pm"), use type "assignment" with start_time the due date and time and no end_time
+- Keep times exactly as written (wall-clock time); do NOT convert them between time zones
 - Look for patterns like "Monday 2pm", "MWF 10:00-11:00", "Every Tuesday at 3pm", etc.
 
+${CONFIDENCE_PROMPT}
+
 Return ONLY valid JSON, no additional text or explanations.`;
 
+        const progress = context.onProgress || (() => {});
+
         try {
-            // Ensure we're using gemini-2.5-flash - create fresh model instance to be sure
-            const model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-            console.log('Using model: gemini-2.5-flash for API call');
-            
-            let response;
-            
-            if (isImage) {
-                // For images, use gemini-2.5-flash (supports both text and images)
-                const parts = [prompt, content];
-                response = await model.generateContent(parts);
-            } else {
-                // For text content, use gemini-2.5-flash
-                const fullPrompt = `${prompt}\n\nContent:\n${content}`;
-                response = await model.generateContent(fullPrompt);
+            const parts = this.buildParts(
+                context.term ? `${prompt}\n\n${describeTermForPrompt(context.term)}` : prompt,
+                content,
+                isImage
+            );
+            if (context.signal) {
+                context.signal.throwIfAborted();
+            }
+
+            const cacheKey = this.cache ? this.extractionCacheKey(parts) : null;
+            const cached = cacheKey && context.cache !== false ? await this.cache.get(cacheKey) : null;
+            if (cacheKey) {
+                progress('cache', { hit: !!cached });
+            }
+            if (cached) {
+                console.log(`Using cached extraction result (${cached.events.length} event(s))`);
+                progress('found', { events: cached.events });
+                return cached;
             }
 
-            let responseText = response.response.text().trim();
+            progress('model', { provider: this.provider.name });
+            const response = await this.generate(parts, context);
+            progress('parsing');
+            let result = this.parseResponse(response);
 
-            // Try to extract JSON if wrapped in markdown code blocks
-            if (responseText.includes('```json')) {
-                responseText = responseText.split('```json')[1].split('```')[0].trim();
-            } else if (responseText.includes('```')) {
-                responseText = responseText.split('```')[1].split('```')[0].trim();
+            if (result.warnings.length > 0 && this.repair) {
+                // Re-prompt once with the validation errors, then keep the better of the two answers
+                console.log(`Model output had ${result.warnings.length} problem(s), asking the model to repair it...`);
+                progress('repairing', { problems: result.warnings.length });
+                const repairedResponse = await this.generate([
+                    ...parts,
+                    buildRepairPrompt(response.trim(), result.warnings)
+                ], context);
+                const repaired = this.parseResponse(repairedResponse);
+                if (repaired.events.length >= result.events.length) {
+                    result = repaired;
+                }
             }
 
-            return JSON.parse(responseText);
+            if (result.warnings.length > 0) {
+                console.warn(`Skipped ${result.warnings.length} invalid event(s) from model output`);
+            }
+            const events = annotateEvents(result.events, content, isImage, this);
+            // An answer without events is more likely a bad one than an empty schedule: ask again next time
+            if (cacheKey && events.length > 0) {
+                await this.cache.set(cacheKey, { ...result, events });
+            }
+            progress('found', { events });
+            return { ...result, events };
         } catch (error) {
-            console.error('Error calling Gemini API:', error.message);
+            if (context.signal && context.signal.aborted) {
+                console.log(`${this.provider.name} call cancelled`);
+            } else {
+                console.error(`Error calling ${this.provider.name} API:`, error.message);
+            }
             throw error;
         }
     }
 
     /**
-     * Parse datetime string to Date object
+     * Extract the term dates and blackout days (holidays, breaks) from a university academic calendar
+     * @returns {Promise<object>} term as { name, start, end, blackouts } with YYYY-MM-DD dates
      */
-    parseDateTime(dateStr) {
-        // Try different formats
-        const formats = [
-            /^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})$/,
-            /^(\d{4})-(\d{2})-(\d{2})$/,
-            /^(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})$/,
-            /^(\d{2})\/(\d{2})\/(\d{4})$/,
-            /^(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})$/,
-            /^(\d{2})\/(\d{2})\/(\d{4})$/
-        ];
+    async extractTermInfo(content, isImage = false) {
+        const prompt = `Extract the academic term from the following academic calendar.
 
-        // Try YYYY-MM-DD HH:MM
-        let match = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{2}):(\d{2}))?$/);
-        if (match) {
-            const year = parseInt(match[1]);
-            const month = parseInt(match[2]);
-            const day = parseInt(match[3]);
-            const hour = match[4] ? parseInt(match[4]) : 9;
-            const minute = match[5] ? parseInt(match[5]) : 0;
-            return new Date(year, month - 1, day, hour, minute);
+Return a JSON object with the following structure:
+{
+    "name": "Term name, e.g. Spring 2024",
+    "start": "YYYY-MM-DD (first day of classes)",
+    "end": "YYYY-MM-DD (last day of classes)",
+    "blackouts": [
+        { "label": "Spring Break", "start": "YYYY-MM-DD", "end": "YYYY-MM-DD (same as start for a single day)" }
+    ]
+}
+
+IMPORTANT:
+- Blackouts are days without classes: holidays, breaks, reading days
+- If the calendar covers several terms, return the first one
+- Return ONLY valid JSON, no additional text or explanations.`;
+
+        try {
+            const response = await this.generate(this.buildParts(prompt, content, isImage));
+            return serializeTerm(parseTerm(JSON.parse(this.unwrapJSON(response)), this));
+        } catch (error) {
+            console.error(`Error reading academic calendar with ${this.provider.name}:`, error.message);
+            if (error instanceof ConversionError) {
+                throw error;
+            }
+            throw new Error(`Could not read the academic term: ${error.message}`);
+        }
+    }
+
+    /**
+     * Strip the markdown code block the model may wrap its JSON in
+     */
+    unwrapJSON(response) {
+        const responseText = String(response || '').trim();
+        if (responseText.includes('```json')) {
+            return responseText.split('```json')[1].split('```')[0].trim();
         }
+        if (responseText.includes('```')) {
+            return responseText.split('```')[1].split('```')[0].trim();
+        }
+        return responseText;
+    }
 
-        // Try MM/DD/YYYY HH:MM
-        match = dateStr.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:\s+(\d{2}):(\d{2}))?$/);
+    /**
+     * Parse and validate raw model output into { events, warnings }.
+     * Never throws: malformed output becomes a warning with no events.
+     */
+    parseResponse(response) {
+        let data;
+        try {
+            data = JSON.parse(this.unwrapJSON(response));
+        } catch (error) {
+            return {
+                events: [],
+                warnings: [{ index: null, title: null, errors: [`response is not valid JSON (${error.message})`] }]
+            };
+        }
+
+        return validateEventsData(data, this);
+    }
+
+    /**
+     * Parse datetime string to Date object. The Date's local components hold the wall-clock time.
+     *
+     * Dates: YYYY-MM-DD (ISO), MM/DD/YYYY or DD/MM/YYYY (see dateOrder; "-" also accepted),
+     * DD.MM.YYYY. Times: 24-hour "14:00[:30[.000]]" or 12-hour "2 PM" / "2:00pm", joined by a
+     * space or "T", optionally followed by "Z" or a "+05:30" / "-0500" offset.
+     * Single-digit components are accepted throughout.
+     *
+     * @param {object} options - { dateOrder: 'MDY' | 'DMY' (defaults to the converter's),
+     *   timeZone: IANA zone that times with an explicit offset are converted into; without one
+     *   they are converted into the system's zone }
+     */
+    parseDateTime(dateStr, options = {}) {
+        const input = String(dateStr).trim();
+        const dateOrder = String(options.dateOrder || this.dateOrder || 'MDY').toUpperCase();
+        let year, month, day, timePart;
+
+        // Try YYYY-MM-DD[ time]
+        let match = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:(?:T|\s+)(.+))?$/i);
         if (match) {
-            const month = parseInt(match[1]);
-            const day = parseInt(match[2]);
-            const year = parseInt(match[3]);
-            const hour = match[4] ? parseInt(match[4]) : 9;
-            const minute = match[5] ? parseInt(match[5]) : 0;
-            return new Date(year, month - 1, day, hour, minute);
+            year = parseInt(match[1]);
+            month = parseInt(match[2]);
+            day = parseInt(match[3]);
+            timePart = match[4];
+        } else {
+            // Try MM/DD/YYYY, DD/MM/YYYY or DD.MM.YYYY[ time]
+            match = input.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})(?:(?:T|,?\s+)(.+))?$/i);
+            if (!match) {
+                throw new Error(`Unable to parse date: ${dateStr}`);
+            }
+            // Dotted dates are day-first in every locale that uses them
+            const dayFirst = match[2] === '.' || dateOrder === 'DMY';
+            day = parseInt(dayFirst ? match[1] : match[3]);
+            month = parseInt(dayFirst ? match[3] : match[1]);
+            year = parseInt(match[4]);
+            timePart = match[5];
+        }
+
+        const daysInMonth = new Date(year, month, 0).getDate();
+        if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+            throw new Error(`Unable to parse date: ${dateStr}`);
+        }
+
+        // If only a date is given, default to 9:00 AM
+        let time = { hour: 9, minute: 0, second: 0, offset: null };
+        if (timePart) {
+            time = this.parseTime(timePart);
+            if (!time) {
+                throw new Error(`Unable to parse date: ${dateStr}`);
+            }
         }
 
-        throw new Error(`Unable to parse date: ${dateStr}`);
+        if (time.offset !== null) {
+            // An explicit offset pins an instant; show it at the wall-clock time of the target zone,
+            // or of the system's zone for floating times
+            const utc = Date.UTC(year, month - 1, day, time.hour, time.minute, time.second) - time.offset * 60000;
+            if (!options.timeZone) {
+                return new Date(utc);
+            }
+            const local = new Date(utc + getOffsetMinutes(options.timeZone, utc) * 60000);
+            return new Date(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(),
+                local.getUTCHours(), local.getUTCMinutes(), local.getUTCSeconds());
+        }
+
+        return new Date(year, month - 1, day, time.hour, time.minute, time.second);
+    }
+
+    /**
+     * Parse the time part of a datetime string into { hour, minute, second, offset }
+     * (offset in minutes east of UTC, or null). Returns null if it is not a valid time.
+     */
+    parseTime(timeStr) {
+        const match = timeStr.trim().match(
+            /^(\d{1,2})(?::(\d{2}))?(?::(\d{2})(?:\.\d+)?)?\s*([ap])?\.?(?:m\.?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i
+        );
+        if (!match) {
+            return null;
+        }
+
+        let hour = parseInt(match[1]);
+        const minute = match[2] ? parseInt(match[2]) : 0;
+        const second = match[3] ? parseInt(match[3]) : 0;
+        const meridiem = match[4] ? match[4].toLowerCase() : null;
+
+        if (meridiem) {
+            if (hour < 1 || hour > 12) {
+                return null;
+            }
+            hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+        } else if (match[2] === undefined || hour > 23) {
+            // A bare "14" is not a time; 24-hour times need minutes
+            return null;
+        }
+        if (minute > 59 || second > 59) {
+            return null;
+        }
+
+        let offset = null;
+        if (match[5]) {
+            if (match[5].toUpperCase() === 'Z') {
+                offset = 0;
+            } else {
+                const digits = match[5].replace(':', '');
+                const sign = digits[0] === '-' ? -1 : 1;
+                offset = sign * (parseInt(digits.slice(1, 3)) * 60 + parseInt(digits.slice(3, 5) || '0'));
+            }
+        }
+
+        return { hour, minute, second, offset };
     }
 
     /**
@@ -186,85 +421,403 @@ Return ONLY valid JSON, no additional text or explanations.`;
     }
 
     /**
-     * Create ICS file from events data
+     * Normalize day names ("Monday", "Mon", "mo") to RRULE BYDAY codes
      */
-    async createICSFile(eventsData, outputPath) {
-        const events = [];
-
-        for (const eventData of eventsData.events || []) {
-            const startDate = this.parseDateTime(eventData.start_time);
-            const endDate = eventData.end_time 
-                ? this.parseDateTime(eventData.end_time)
-                : new Date(startDate.getTime() + 60 * 60 * 1000); // Default to 1 hour later
-
-            const event = {
-                title: eventData.title || 'Untitled Event',
-                start: this.dateToICSArray(startDate),
-                end: this.dateToICSArray(endDate),
-                description: eventData.description || '',
-                location: eventData.location || '',
-                attendees: eventData.attendees || []
-            };
+    normalizeDays(days) {
+        const list = Array.isArray(days) ? days : String(days).split(/[\s,]+/);
+        return list
+            .map(day => String(day).trim().slice(0, 2).toUpperCase())
+            .filter(day => WEEKDAYS.includes(day));
+    }
+
+    /**
+     * Format a Date's wall-clock components as an ICS local time (YYYYMMDDTHHMMSS)
+     */
+    formatLocal(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Format a date as a UTC ICS timestamp (YYYYMMDDTHHMMSSZ)
+     */
+    formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Build an RRULE value from an extracted recurrence object.
+     * UNTIL matches DTSTART: a date for all-day series, UTC when the series has a time zone
+     * and floating otherwise.
+     */
+    buildRecurrenceRule(recurrence, timeZone = null, allDay = false) {
+        const days = recurrence.days ? this.normalizeDays(recurrence.days) : [];
+        const frequency = String(recurrence.frequency || (days.length ? 'WEEKLY' : '')).toUpperCase();
+        if (!FREQUENCIES.includes(frequency)) {
+            throw new Error(`Unsupported recurrence frequency: ${recurrence.frequency}`);
+        }
+
+        const parts = [`FREQ=${frequency}`];
+        const interval = parseInt(recurrence.interval);
+        if (interval > 1) {
+            parts.push(`INTERVAL=${interval}`);
+        }
+        if (days.length) {
+            parts.push(`BYDAY=${days.join(',')}`);
+        }
+        const count = parseInt(recurrence.count);
+        if (recurrence.until) {
+            // UNTIL is inclusive, so run through the end of the last day
+            const until = this.parseDateTime(recurrence.until);
+            until.setHours(23, 59, 59);
+            let value;
+            if (allDay) {
+                value = this.formatLocal(until).slice(0, 8);
+            } else if (timeZone) {
+                value = this.formatUTC(new Date(zonedTimeToUtc(until.getFullYear(), until.getMonth() + 1,
+                    until.getDate(), 23, 59, 59, timeZone)));
+            } else {
+                value = this.formatLocal(until);
+            }
+            parts.push(`UNTIL=${value}`);
+        } else if (count > 0) {
+            parts.push(`COUNT=${count}`);
+        }
+        return parts.join(';');
+    }
+
+    /**
+     * Turn extracted attendees (plain email strings or objects) into ics contacts,
+     * dropping entries without a usable email address
+     */
+    normalizeAttendees(attendees) {
+        if (!Array.isArray(attendees)) {
+            return [];
+        }
+        return attendees
+            .map(attendee => (typeof attendee === 'string' ? { email: attendee.trim() } : attendee))
+            .filter(attendee => attendee && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(attendee.email || ''))
+            .map(attendee => (attendee.name
+                ? { name: String(attendee.name), email: attendee.email }
+                : { email: attendee.email }));
+    }
+
+    /**
+     * Pick the time zone for an event: a zone stated in the source (e.g. "3pm EST")
+     * wins over the conversion default. Returns null for floating times.
+     */
+    resolveEventTimeZone(eventData, defaultTimeZone = null) {
+        return resolveTimeZone(eventData.timezone) || resolveTimeZone(defaultTimeZone);
+    }
+
+    /**
+     * Check whether a date string has no time of day
+     */
+    isDateOnly(dateStr) {
+        return /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}([/.-])\d{1,2}\2\d{4})$/.test(String(dateStr).trim());
+    }
+
+    /**
+     * An event is all-day when the model marks it so, or when it only has dates and no times
+     */
+    isAllDay(eventData) {
+        if (eventData.all_day !== undefined && eventData.all_day !== null) {
+            return eventData.all_day === true || eventData.all_day === 'true';
+        }
+        return this.isDateOnly(eventData.start_time) &&
+            (!eventData.end_time || this.isDateOnly(eventData.end_time));
+    }
+
+    /**
+     * Add whole days to a date, keeping its wall-clock time
+     */
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days,
+            date.getHours(), date.getMinutes(), date.getSeconds());
+    }
 
-            events.push(event);
+    /**
+     * Wall-clock start and end of an event's first occurrence.
+     * For all-day events both are midnights and end is the day after the last day.
+     * @returns {{allDay: boolean, start: Date, end: Date}}
+     */
+    eventTimes(eventData, timeZone = null) {
+        const allDay = this.isAllDay(eventData);
+        let startDate;
+        let endDate;
+
+        if (allDay) {
+            const first = this.parseDateTime(eventData.start_time);
+            startDate = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+            const last = eventData.end_time ? this.parseDateTime(eventData.end_time) : startDate;
+            const lastDay = new Date(last.getFullYear(), last.getMonth(), last.getDate());
+            endDate = this.addDays(lastDay < startDate ? startDate : lastDay, 1);
+        } else {
+            startDate = this.parseDateTime(eventData.start_time, { timeZone });
+            // Without an end, deadlines are a point in time and other events last an hour
+            endDate = eventData.end_time
+                ? this.parseDateTime(eventData.end_time, { timeZone })
+                : new Date(startDate.getTime() + (isDeadline(eventData) ? 0 : 60 * 60 * 1000));
+        }
+
+        const recurrence = eventData.recurrence;
+        if (recurrence && (recurrence.frequency || recurrence.days)) {
+            // The first occurrence must match the rule, so move the start forward to the first listed weekday
+            const days = recurrence.days ? this.normalizeDays(recurrence.days) : [];
+            let shift = 0;
+            while (days.length && shift < 7 && !days.includes(WEEKDAYS[this.addDays(startDate, shift).getDay()])) {
+                shift++;
+            }
+            startDate = this.addDays(startDate, shift);
+            endDate = this.addDays(endDate, shift);
+        }
+
+        return { allDay, start: startDate, end: endDate };
+    }
+
+    /**
+     * Convert one extracted event into an ics event object.
+     * Times are kept as wall-clock values; buildCalendar attaches the TZID.
+     * All-day events get date-only DTSTART/DTEND, with DTEND the day after the last day.
+     * Deadlines without an end_time get no DTEND, making them zero-length events at the due time.
+     * @param {object} options - { reminders: minutes before the event, or null for the type defaults }
+     */
+    buildEvent(eventData, timeZone = null, options = {}) {
+        const { allDay, start: startDate, end: endDate } = this.eventTimes(eventData, timeZone);
+
+        const event = {
+            title: eventData.title || 'Untitled Event',
+            description: eventData.description || '',
+            location: eventData.location || '',
+            attendees: this.normalizeAttendees(eventData.attendees)
+        };
+        // Saved calendars (lib/calendar-store) keep UIDs stable so subscribed apps update events in place
+        event.uid = eventData.uid ? String(eventData.uid) : this.eventUid(eventData);
+        if (Number.isInteger(eventData.sequence)) {
+            event.sequence = eventData.sequence;
+        }
+        // Update calendars (lib/diff) mark removed events cancelled
+        if (eventData.status) {
+            event.status = String(eventData.status).toUpperCase();
+        }
+        const categories = this.eventCategories(eventData);
+        if (categories.length) {
+            event.categories = categories;
+        }
+
+        const reminders = remindersForEvent(eventData, options.reminders);
+        if (reminders.length) {
+            event.alarms = buildAlarms(reminders, event.title);
+        }
+
+        const recurrence = eventData.recurrence;
+        if (recurrence && (recurrence.frequency || recurrence.days)) {
+            event.recurrenceRule = this.buildRecurrenceRule(recurrence, timeZone, allDay);
+            if (Array.isArray(recurrence.exclude_dates) && recurrence.exclude_dates.length) {
+                // EXDATE must carry the same time of day (or date-only value) as DTSTART to match an occurrence
+                event.exclusionDates = recurrence.exclude_dates.map(dateStr => {
+                    const date = this.parseDateTime(dateStr);
+                    if (allDay) {
+                        return this.dateToICSArray(date).slice(0, 3);
+                    }
+                    date.setHours(startDate.getHours(), startDate.getMinutes(), startDate.getSeconds());
+                    return this.formatLocal(date);
+                });
+            }
+        }
+
+        event.start = allDay ? this.dateToICSArray(startDate).slice(0, 3) : this.formatLocal(startDate);
+        if (allDay) {
+            event.end = this.dateToICSArray(endDate).slice(0, 3);
+        } else if (endDate > startDate) {
+            event.end = this.formatLocal(endDate);
+        }
+        // else a deadline: without DTEND the event ends when it starts (RFC 5545), so it stays on the due day
+        return event;
+    }
+
+    /**
+     * A UID derived from the event's title, start, location and source, so converting the same
+     * schedule twice gives the same UIDs and importing both updates events instead of doubling them
+     */
+    eventUid(eventData) {
+        const normalize = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        const start = eventData.start_time ? this.formatLocal(this.parseDateTime(String(eventData.start_time))) : '';
+        const key = [eventData.title, start, eventData.location, eventData.source].map(normalize).join('\n');
+        return `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}@calendar-converter`;
+    }
+
+    /**
+     * Give every event its UID, numbering repeats of identical events (same title, start,
+     * location and source) so no two components share one
+     */
+    assignUids(events) {
+        const seen = new Map();
+        return events.map(eventData => {
+            const uid = eventData.uid ? String(eventData.uid) : this.eventUid(eventData);
+            const count = (seen.get(uid) || 0) + 1;
+            seen.set(uid, count);
+            return { ...eventData, uid: count > 1 ? `${count}-${uid}` : uid };
+        });
+    }
+
+    /**
+     * CATEGORIES for an event: the type label first, then the file (course) batch conversions tag it with
+     */
+    eventCategories(eventData) {
+        const categories = [];
+        if (eventData.type) {
+            categories.push(EVENT_TYPES[normalizeEventType(eventData.type)].label);
+        }
+        if (eventData.source) {
+            categories.push(String(eventData.source));
         }
+        return categories;
+    }
 
-        const { error, value } = createEvents(events);
+    /**
+     * Convert one extracted deadline into VTODO text due at its start time
+     */
+    buildTodo(eventData, timeZone = null, options = {}) {
+        const due = this.parseDateTime(eventData.start_time, { timeZone });
+        return formatTodo({
+            // A deadline exported as both an event and a task needs a separate UID for each
+            uid: `task-${eventData.uid || this.eventUid(eventData)}`,
+            sequence: eventData.sequence,
+            status: eventData.status,
+            title: eventData.title,
+            description: eventData.description,
+            location: eventData.location,
+            due: this.isAllDay(eventData) ? this.formatLocal(due).slice(0, 8) : this.formatLocal(due),
+            categories: this.eventCategories(eventData),
+            color: EVENT_TYPES[normalizeEventType(eventData.type)].color,
+            reminders: remindersForEvent(eventData, options.reminders)
+        });
+    }
+
+    /**
+     * Build ICS calendar text from events data
+     * @param {object} options - { timezone: IANA zone applied to events without their own,
+     *   reminders: minutes before each event (from parseReminders), null/absent for the type defaults,
+     *   deadlines: 'event' (default), 'todo' or 'both' to export assignment deadlines as VTODO tasks,
+     *   name: calendar name shown by subscribing apps (X-WR-CALNAME) }
+     */
+    buildCalendar(eventsData, options = {}) {
+        const deadlineMode = resolveDeadlineMode(options.deadlines);
+        const eventItems = [];
+        const todoItems = [];
+        for (const eventData of this.assignUids(eventsData.events || [])) {
+            const asTodo = deadlineMode !== 'event' && isDeadline(eventData);
+            if (!asTodo || deadlineMode === 'both') {
+                eventItems.push(eventData);
+            }
+            if (asTodo) {
+                todoItems.push(eventData);
+            }
+        }
+
+        // All-day events are dates, not times, so they never get a TZID
+        const timeZoneFor = eventData => (this.isAllDay(eventData)
+            ? null
+            : this.resolveEventTimeZone(eventData, options.timezone));
+
+        const timeZones = [];
+        const events = eventItems.map(eventData => {
+            const timeZone = timeZoneFor(eventData);
+            timeZones.push(timeZone);
+            return this.buildEvent(eventData, timeZone, { reminders: options.reminders });
+        });
+        const todos = todoItems.map(eventData => {
+            const timeZone = timeZoneFor(eventData);
+            timeZones.push(timeZone);
+            return this.buildTodo(eventData, timeZone, { reminders: options.reminders });
+        });
+
+        const { error, value } = createEvents(events, options.name ? { calName: options.name } : {});
 
         if (error) {
             throw new Error(`Error creating calendar: ${error}`);
         }
 
-        fs.writeFileSync(outputPath, value, 'utf-8');
-        console.log(`✓ Created ICS file: ${outputPath}`);
-        console.log(`✓ Added ${events.length} event(s) to calendar`);
+        const colors = eventItems.map(eventData => EVENT_TYPES[normalizeEventType(eventData.type)].color);
+        // VTODOs go after the VEVENTs, matching the order of timeZones
+        const calendar = applyEventColors(value, colors).replace('END:VCALENDAR', `${todos.join('')}END:VCALENDAR`);
+
+        // VTIMEZONE blocks need to cover every year the events (and their series) touch
+        const years = events
+            .flatMap(event => [event.start, event.end, (event.recurrenceRule || '').split('UNTIL=')[1]])
+            .concat(todos.map(todo => todo.match(/^DUE:(\d{4})/m)[1]))
+            .filter(Boolean)
+            .map(value => (Array.isArray(value) ? value[0] : parseInt(value.slice(0, 4))));
+        const fromYear = Math.min(...years);
+        const toYear = Math.max(...years);
+
+        return applyTimeZones(calendar, timeZones, fromYear, toYear);
+    }
+
+    /**
+     * Create ICS file (or options.format, see lib/formats) from events data
+     */
+    async createICSFile(eventsData, outputPath, options = {}) {
+        const events = eventsData.events || [];
+        const { content, merge } = this.pipeline.render(eventsData, options);
+
+        fs.writeFileSync(outputPath, content, 'utf-8');
+        console.log(`✓ Created ${resolveFormat(options.format).toUpperCase()} file: ${outputPath}`);
+        if (merge) {
+            console.log(`✓ ${merge.added} new, ${merge.changed} changed, ${merge.unchanged} already in the existing calendar`);
+        } else {
+            console.log(`✓ Added ${events.length} event(s) to calendar`);
+        }
+        for (const warning of eventsData.warnings || []) {
+            const label = warning.index === null ? 'Model response' : `Skipped event ${warning.index + 1}`;
+            const title = warning.title ? ` ("${warning.title}")` : '';
+            console.warn(`⚠ ${label}${title}: ${warning.errors.join('; ')}`);
+        }
+        for (const conflict of this.pipeline.findConflicts(events, options, options.existing || null)) {
+            const [first, second] = conflict.events;
+            const times = conflict.occurrences > 1 ? ` (${conflict.occurrences} times)` : '';
+            console.warn(`⚠ Overlap: "${first.title}" and "${second.title}" on ${conflict.start}${times}`);
+        }
+        for (const eventData of events) {
+            for (const item of eventData.review || []) {
+                console.warn(`⚠ Check "${eventData.title}" ${item.field.replace('_', ' ')}: ${item.reason}`);
+            }
+        }
     }
 
     /**
      * Convert text input to ICS file
      */
-    async convertText(text, outputPath = 'calendar.ics') {
-        console.log('Processing text with Gemini API...');
-        const eventsData = await this.extractCalendarInfo(text, false);
-        await this.createICSFile(eventsData, outputPath);
+    async convertText(text, outputPath = 'calendar.ics', options = {}) {
+        console.log(`Processing text with ${this.provider.name} provider...`);
+        const eventsData = await this.pipeline.extract({ text }, options);
+        await this.createICSFile(eventsData, outputPath, options);
     }
 
     /**
      * Convert file input to ICS file
      */
-    async convertFile(filePath, outputPath = null) {
+    async convertFile(filePath, outputPath = null, options = {}) {
         if (!outputPath) {
             outputPath = path.basename(filePath, path.extname(filePath)) + '.ics';
         }
 
-        const fileExt = path.extname(filePath).toLowerCase();
-        const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
-
-        if (imageExtensions.includes(fileExt)) {
-            console.log(`Processing image file: ${filePath}`);
-            const image = await this.readImage(filePath);
-            const eventsData = await this.extractCalendarInfo(image, true);
-            await this.createICSFile(eventsData, outputPath);
-        } else {
-            console.log(`Processing text file: ${filePath}`);
-            const text = this.readFile(filePath);
-            const eventsData = await this.extractCalendarInfo(text, false);
-            await this.createICSFile(eventsData, outputPath);
-        }
+        const eventsData = await this.pipeline.extract({ buffer: fs.readFileSync(filePath), filename: filePath }, options);
+        await this.createICSFile(eventsData, outputPath, options);
     }
 
     /**
      * Convert image input to ICS file
      */
-    async convertImage(imagePath, outputPath = null) {
+    async convertImage(imagePath, outputPath = null, options = {}) {
         if (!outputPath) {
             outputPath = path.basename(imagePath, path.extname(imagePath)) + '.ics';
         }
 
-        console.log(`Processing image: ${imagePath}`);
-        const image = await this.readImage(imagePath);
-        const eventsData = await this.extractCalendarInfo(image, true);
-        await this.createICSFile(eventsData, outputPath);
+        const eventsData = await this.pipeline.extract({ buffer: fs.readFileSync(imagePath), filename: imagePath }, options);
+        await this.createICSFile(eventsData, outputPath, options);
     }
 }
 
@@ -273,29 +826,41 @@ Return ONLY valid JSON, no additional text or explanations.`;
  */
 async function main() {
     const args = process.argv.slice(2);
-    let apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-        console.error('ERROR: GEMINI_API_KEY environment variable is required');
-        console.error('Please set it before running:');
-        console.error('  Windows: set GEMINI_API_KEY=your-key-here');
-        console.error('  Linux/Mac: export GEMINI_API_KEY=your-key-here');
-        process.exit(1);
-    }
+    const providerConfig = providerConfigFromEnv();
+    providerConfig.dateOrder = process.env.DATE_ORDER;
     let textInput = null;
-    let fileInput = null;
+    const fileInputs = [];
     let imageInput = null;
-    let outputPath = 'calendar.ics';
+    let outputPath = null;
+    let timezone = getSystemTimeZone();
+    let reminders = null;
+    let deadlines = 'event';
+    let termFile = null;
+    const termDates = { blackouts: [] };
+    let extractTerm = false;
+    let format = 'ics';
+    let mergeFile = null;
+    const jobOptions = { concurrency: process.env.JOB_CONCURRENCY, retries: process.env.JOB_RETRIES };
 
     // Parse arguments
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--api-key' && args[i + 1]) {
-            apiKey = args[i + 1];
+            providerConfig.apiKey = args[i + 1];
+            i++;
+        } else if (args[i] === '--provider' && args[i + 1]) {
+            providerConfig.provider = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--model' && args[i + 1]) {
+            providerConfig.model = args[i + 1];
+            i++;
+        } else if (args[i] === '--base-url' && args[i + 1]) {
+            providerConfig.baseUrl = args[i + 1];
             i++;
         } else if (args[i] === '--text' && args[i + 1]) {
             textInput = args[i + 1];
             i++;
         } else if (args[i] === '--file' && args[i + 1]) {
-            fileInput = args[i + 1];
+            fileInputs.push(args[i + 1]);
             i++;
         } else if (args[i] === '--image' && args[i + 1]) {
             imageInput = args[i + 1];
@@ -303,28 +868,109 @@ async function main() {
         } else if (args[i] === '--output' && args[i + 1]) {
             outputPath = args[i + 1];
             i++;
+        } else if (args[i] === '--tz' && args[i + 1]) {
+            timezone = args[i + 1];
+            i++;
+        } else if (args[i] === '--remind' && args[i + 1]) {
+            reminders = args[i + 1];
+            i++;
+        } else if (args[i] === '--deadlines' && args[i + 1]) {
+            deadlines = args[i + 1];
+            i++;
+        } else if (args[i] === '--term' && args[i + 1]) {
+            termFile = args[i + 1];
+            i++;
+        } else if (args[i] === '--term-start' && args[i + 1]) {
+            termDates.start = args[i + 1];
+            i++;
+        } else if (args[i] === '--term-end' && args[i + 1]) {
+            termDates.end = args[i + 1];
+            i++;
+        } else if (args[i] === '--blackout' && args[i + 1]) {
+            termDates.blackouts.push(...args[i + 1].split(',').map(value => value.trim()).filter(Boolean));
+            i++;
+        } else if (args[i] === '--format' && args[i + 1]) {
+            format = args[i + 1];
+            i++;
+        } else if (args[i] === '--merge' && args[i + 1]) {
+            mergeFile = args[i + 1];
+            i++;
+        } else if (args[i] === '--concurrency' && args[i + 1]) {
+            jobOptions.concurrency = args[i + 1];
+            i++;
+        } else if (args[i] === '--retries' && args[i + 1]) {
+            jobOptions.retries = args[i + 1];
+            i++;
+        } else if (args[i] === '--extract-term') {
+            extractTerm = true;
+        } else if (args[i] === '--timeout' && args[i + 1]) {
+            providerConfig.timeout = Math.round(parseFloat(args[i + 1]) * 1000);
+            i++;
+        } else if (args[i] === '--no-cache') {
+            providerConfig.cache = false;
+        } else if (args[i] === '--cache-dir' && args[i + 1]) {
+            providerConfig.cacheDir = args[i + 1];
+            i++;
+        } else if (args[i] === '--date-order' && args[i + 1]) {
+            providerConfig.dateOrder = args[i + 1];
+            i++;
         } else if (args[i] === '--help' || args[i] === '-h') {
             console.log(`
 Usage: node calendar-converter.js [options]
 
 Options:
-  --api-key <key>    Gemini API key (or set GEMINI_API_KEY env var)
+  --api-key <key>    Provider API key (or set GEMINI_API_KEY / LLM_API_KEY env var)
+  --provider <name>  Extraction backend: gemini, openai, ollama, mock (default: gemini, or LLM_PROVIDER)
+  --model <name>     Model name for the provider (or set LLM_MODEL)
+  --base-url <url>   Base URL for openai/ollama providers (or set LLM_BASE_URL)
+  --timeout <s>      Seconds to wait for each model call before trying again (default: 120, or LLM_TIMEOUT_MS)
   --text <text>      Text input to convert
-  --file <path>      File path to convert (text or image)
+  --file <path>      File path to convert (text, image, PDF or DOCX). Repeat it to convert several
+                     files at once, each into its own calendar in the --output directory
   --image <path>     Image file path to convert
-  --output <path>    Output ICS file path (default: calendar.ics)
+  --output <path>    Output file path (default: calendar.<format extension>, or term.json with --extract-term),
+                     or directory with several --file (default: current directory)
+  --format <name>    Output format: ics, json, csv, google-csv, outlook-csv, jcal (default: ics)
+  --tz <zone>        Time zone for event times, e.g. America/Chicago (default: system time zone)
+  --remind <list>    Reminders before each event, e.g. 15m,1d or "none"
+                     (default: 1 week + 1 day for exams/assignments, 10 minutes for lectures)
+  --deadlines <m>    Export assignment deadlines as: event, todo (VTODO tasks) or both (default: event)
+  --term <path>      Term JSON file ({ start, end, blackouts }, e.g. saved by --extract-term):
+                     weekly series are kept inside the term and skip blackout dates
+  --term-start <d>   Term start date (YYYY-MM-DD), overrides --term
+  --term-end <d>     Term end date (YYYY-MM-DD), overrides --term
+  --blackout <list>  Days without classes, e.g. 2024-01-15,2024-03-11..2024-03-15 (adds to --term)
+  --merge <path>     Existing .ics file you already imported: write only new and changed events
+  --concurrency <n>  Files converted at the same time with several --file (default: 2, or JOB_CONCURRENCY)
+  --retries <n>      Extra attempts when a conversion fails for a reason other than the
+                     model's rate limits or outages, which LLM_RETRIES covers (default: 1, or JOB_RETRIES)
+  --extract-term     Read an academic calendar (--file/--text/--image) and save its term as JSON
+  --cache-dir <dir>  Keep extraction results here and reuse them when the same input is converted
+                     again, e.g. with other options (or set EXTRACTION_CACHE_DIR)
+  --no-cache         Always call the model, without reading or writing cached results
+  --date-order <o>   How to read dates like 03/04/2024: MDY or DMY (default: MDY, or DATE_ORDER)
   --help, -h         Show this help message
 
 Examples:
   node calendar-converter.js --text "Meeting on March 15, 2024 at 2 PM"
   node calendar-converter.js --file events.txt
+  node calendar-converter.js --file syllabus.pdf
   node calendar-converter.js --image screenshot.png --output my-calendar.ics
+  node calendar-converter.js --file syllabus.pdf --remind 1h,1d
+  node calendar-converter.js --file syllabus.pdf --deadlines todo
+  node calendar-converter.js --file syllabus.pdf --format google-csv
+  node calendar-converter.js --file academic-calendar.pdf --extract-term --output spring.json
+  node calendar-converter.js --file schedule.txt --term spring.json
+  node calendar-converter.js --file syllabus.pdf --merge calendar.ics --output updates.ics
+  node calendar-converter.js --file math.pdf --file physics.pdf --output calendars/ --concurrency 2
+  node calendar-converter.js --provider ollama --model llama3.2-vision --file events.txt
             `);
             process.exit(0);
         }
     }
 
     // Validate input
+    const fileInput = fileInputs[0] || null;
     const inputCount = [textInput, fileInput, imageInput].filter(Boolean).length;
     if (inputCount === 0) {
         console.error('Error: Please provide one of: --text, --file, or --image');
@@ -335,16 +981,97 @@ Examples:
         console.error('Error: Please provide only one input type: --text, --file, or --image');
         process.exit(1);
     }
+    if (extractTerm && fileInputs.length > 1) {
+        console.error('Error: --extract-term reads one academic calendar at a time');
+        process.exit(1);
+    }
+
+    if (!resolveTimeZone(timezone)) {
+        console.error(`Error: Unknown time zone: ${timezone}`);
+        process.exit(1);
+    }
+
+    try {
+        reminders = parseReminders(reminders);
+        deadlines = resolveDeadlineMode(deadlines);
+        format = resolveFormat(format);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    let existing = null;
+    if (mergeFile) {
+        existing = fs.readFileSync(mergeFile, 'utf-8');
+        if (format !== 'ics' || !isCalendarText(existing)) {
+            console.error('Error: --merge needs an existing .ics file and ICS output');
+            process.exit(1);
+        }
+    }
+
+    if (providerConfig.provider === 'gemini' && !providerConfig.apiKey) {
+        console.error('ERROR: GEMINI_API_KEY environment variable is required');
+        console.error('Please set it before running:');
+        console.error('  Windows: set GEMINI_API_KEY=your-key-here');
+        console.error('  Linux/Mac: export GEMINI_API_KEY=your-key-here');
+        console.error('Or choose another backend with --provider (openai, ollama, mock)');
+        process.exit(1);
+    }
 
     try {
-        const converter = new CalendarConverter(apiKey);
-
-        if (textInput) {
-            await converter.convertText(textInput, outputPath);
-        } else if (fileInput) {
-            await converter.convertFile(fileInput, outputPath);
-        } else if (imageInput) {
-            await converter.convertImage(imageInput, outputPath);
+        const converter = new CalendarConverter(providerConfig);
+
+        if (extractTerm) {
+            const input = textInput
+                ? { text: textInput }
+                : { buffer: fs.readFileSync(fileInput || imageInput), filename: fileInput || imageInput };
+            const term = await converter.pipeline.extractTerm(input);
+            outputPath = outputPath || 'term.json';
+            fs.writeFileSync(outputPath, JSON.stringify(term, null, 2) + '\n', 'utf-8');
+            console.log(`✓ Saved term ${term.start} to ${term.end} with ${term.blackouts.length} blackout(s): ${outputPath}`);
+            return;
+        }
+
+        let term = null;
+        if (termFile || termDates.start || termDates.end || termDates.blackouts.length) {
+            const saved = termFile ? JSON.parse(fs.readFileSync(termFile, 'utf-8')) : {};
+            term = parseTerm({
+                ...saved,
+                start: termDates.start || saved.start,
+                end: termDates.end || saved.end,
+                blackouts: [...(saved.blackouts || []), ...termDates.blackouts]
+            }, converter);
+        }
+
+        const options = { timezone, reminders, deadlines, term, format, existing };
+        const extension = FORMATS[format].extension;
+        const queue = new JobQueue(jobOptions);
+        let jobs;
+        if (fileInputs.length > 1) {
+            // One calendar per file, named after it
+            const outputDir = outputPath || '.';
+            fs.mkdirSync(outputDir, { recursive: true });
+            jobs = fileInputs.map(file => queue.add(() => converter.convertFile(
+                file,
+                path.join(outputDir, `${path.basename(file, path.extname(file))}.${extension}`),
+                options
+            )));
+        } else {
+            outputPath = outputPath || `calendar.${extension}`;
+            jobs = [queue.add(() => {
+                if (textInput) {
+                    return converter.convertText(textInput, outputPath, options);
+                }
+                return fileInput
+                    ? converter.convertFile(fileInput, outputPath, options)
+                    : converter.convertImage(imageInput, outputPath, options);
+            })];
+        }
+
+        await queue.onIdle();
+        const failed = jobs.filter(job => job.status === 'failed');
+        if (failed.length) {
+            throw new Error(failed.length === 1 ? failed[0].error : `${failed.length} of ${jobs.length} conversions failed`);
         }
     } catch (error) {
         console.error(`Error: ${error.message}`);
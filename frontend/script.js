@@ -17,14 +17,14 @@ document.querySelectorAll('.tab-button').forEach(button => {
 });
 
 // File handling
-let selectedFile = null;
+let selectedFiles = [];
 let selectedImage = null;
 
 function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        selectedFile = file;
-        showFileSelected(file.name);
+    const files = Array.from(event.target.files);
+    if (files.length) {
+        selectedFiles = files;
+        showFileSelected(files);
         document.getElementById('file-convert-btn').disabled = false;
     }
 }
@@ -38,8 +38,11 @@ function handleImageSelect(event) {
     }
 }
 
-function showFileSelected(fileName) {
-    document.getElementById('file-name').textContent = fileName;
+function showFileSelected(files) {
+    const names = files.map(file => file.name).join(', ');
+    document.getElementById('file-name').textContent = files.length > 1
+        ? `${files.length} files: ${names}`
+        : names;
     document.querySelector('.file-upload-placeholder').style.display = 'none';
     document.getElementById('file-selected').style.display = 'flex';
 }
@@ -55,7 +58,7 @@ function showImagePreview(file) {
 }
 
 function clearFile() {
-    selectedFile = null;
+    selectedFiles = [];
     document.getElementById('file-input').value = '';
     document.querySelector('.file-upload-placeholder').style.display = 'block';
     document.getElementById('file-selected').style.display = 'none';
@@ -95,11 +98,11 @@ function preventDefaults(e) {
 });
 
 fileUploadArea.addEventListener('drop', (e) => {
-    const file = e.dataTransfer.files[0];
-    if (file) {
-        selectedFile = file;
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length) {
+        selectedFiles = files;
         document.getElementById('file-input').files = e.dataTransfer.files;
-        showFileSelected(file.name);
+        showFileSelected(files);
         document.getElementById('file-convert-btn').disabled = false;
     }
 }, false);
@@ -123,59 +126,571 @@ async function convertText() {
         return;
     }
     
-    clearMessages();
-    showLoading();
+    await streamExtraction('/api/stream/text', {
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ text, timezone: getTimeZone(), term: getTerm() })
+    }, 'Failed to convert text');
+}
+
+async function convertFile() {
+    if (selectedFiles.length === 0) {
+        showError('Please select a file');
+        return;
+    }
     
+    // Several files (one syllabus per course) are merged into one calendar
+    const isBatch = selectedFiles.length > 1;
+    const formData = new FormData();
+    selectedFiles.forEach(file => formData.append(isBatch ? 'files' : 'file', file));
+    formData.append('timezone', getTimeZone());
+    appendTerm(formData);
+
+    await streamExtraction(isBatch ? '/api/stream/batch' : '/api/stream/file', {
+        body: formData
+    }, 'Failed to convert file');
+}
+
+async function convertImage() {
+    if (!selectedImage) {
+        showError('Please select an image');
+        return;
+    }
+    
+    const formData = new FormData();
+    formData.append('file', selectedImage);
+    formData.append('timezone', getTimeZone());
+    appendTerm(formData);
+
+    await streamExtraction('/api/stream/file', {
+        body: formData
+    }, 'Failed to convert image');
+}
+
+// Streaming extraction: progress messages while the model works, events as they are parsed
+let extractionController = null;
+
+const STAGE_MESSAGES = {
+    received: () => 'Upload received...',
+    reading: message => `Reading ${message.file}...`,
+    cache: message => (message.hit ? 'Converted before, reusing the saved result...' : 'Preparing the AI request...'),
+    model: message => `Waiting for the AI${message.file ? ` (${message.file})` : ''}...`,
+    retrying: message => `The AI service is ${message.code === 'rate_limited' ? 'busy' : 'not answering'}, trying again (${message.attempt})...`,
+    repairing: message => `Asking the AI to fix ${message.problems} problem(s)...`,
+    parsing: () => 'Reading the AI response...',
+    found: message => `Found ${message.count} event(s)${message.file ? ` in ${message.file}` : ''}`
+};
+
+/**
+ * POST to a /api/stream route and show its NDJSON messages as they arrive (see lib/app.js)
+ */
+async function streamExtraction(url, init, failureMessage) {
+    clearMessages();
+    showLoading(true);
+    extractionController = new AbortController();
+    const streamed = [];
+
+    try {
+        const response = await apiFetch(url, { method: 'POST', ...init, signal: extractionController.signal });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(apiErrorMessage(error, failureMessage));
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+        let done = false;
+        while (!done) {
+            const chunk = await reader.read();
+            done = chunk.done;
+            buffered += decoder.decode(chunk.value || new Uint8Array(), { stream: !done });
+
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            for (const line of lines.filter(Boolean)) {
+                const message = JSON.parse(line);
+                if (message.type === 'stage') {
+                    setLoadingStage(STAGE_MESSAGES[message.stage] ? STAGE_MESSAGES[message.stage](message) : message.stage);
+                } else if (message.type === 'event') {
+                    streamed.push(message.event);
+                    showPreview(streamed);
+                } else if (message.type === 'done') {
+                    showPreview(message.events, message.warnings, message.conflicts);
+                } else if (message.type === 'error') {
+                    throw new Error(apiErrorMessage(message, failureMessage));
+                }
+            }
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            // Keep what was already found, e.g. the files of a batch that finished
+            showError(streamed.length
+                ? `Cancelled. Showing the ${streamed.length} event(s) found so far.`
+                : 'Cancelled.');
+        } else {
+            showError(error.message);
+        }
+    } finally {
+        extractionController = null;
+        hideLoading();
+    }
+}
+
+function cancelExtraction() {
+    if (extractionController) {
+        extractionController.abort();
+    }
+}
+
+function setLoadingStage(text) {
+    document.getElementById('loading-stage').textContent = text;
+}
+
+// Event preview and editing
+let previewEvents = [];
+
+const EDITABLE_FIELDS = ['title', 'start_time', 'end_time', 'location', 'description'];
+
+// Keep in sync with lib/event-types.js
+const EVENT_TYPES = {
+    lecture: 'Lecture',
+    lab: 'Lab',
+    exam: 'Exam',
+    assignment: 'Assignment',
+    office_hours: 'Office Hours',
+    holiday: 'Holiday',
+    meeting: 'Meeting',
+    other: 'Other'
+};
+
+const TYPE_PRESETS = {
+    all: Object.keys(EVENT_TYPES),
+    deadlines: ['exam', 'assignment'],
+    classes: ['lecture', 'lab']
+};
+
+// Types left out of the preview and the download
+let hiddenTypes = new Set();
+
+function eventType(event) {
+    return EVENT_TYPES[event.type] ? event.type : 'other';
+}
+
+function visibleEvents() {
+    return previewEvents.filter(event => !hiddenTypes.has(eventType(event)));
+}
+
+function showPreview(events, warnings, conflicts) {
+    previewEvents = events || [];
+    hiddenTypes = new Set();
+    setConflicts(conflicts || [], previewEvents);
+    renderPreview();
+    renderWarnings(warnings || []);
+
+    // Per-course zip only makes sense for merged batch results
+    const sources = new Set(previewEvents.map(event => event.source).filter(Boolean));
+    document.getElementById('zip-option').style.display = sources.size > 1 ? 'flex' : 'none';
+    document.getElementById('zip-output').checked = false;
+
+    document.getElementById('preview').style.display = 'block';
+}
+
+// Overlapping events, with indexes resolved to the event objects so they survive row deletes
+let previewConflicts = [];
+let conflictCalendar = null;
+
+function setConflicts(conflicts, events) {
+    previewConflicts = conflicts.map(conflict => ({
+        ...conflict,
+        events: conflict.events.map(ref => (ref.existing ? ref : events[ref.index]))
+    }));
+    renderConflicts();
+}
+
+function conflictsFor(event) {
+    return previewConflicts.filter(conflict => conflict.events.includes(event));
+}
+
+function describeConflict(conflict, event) {
+    const other = conflict.events.find(item => item !== event) || conflict.events[1];
+    const where = other.existing ? ' in your calendar' : '';
+    const times = conflict.occurrences > 1 ? `, ${conflict.occurrences} times` : '';
+    return `Overlaps "${other.title}"${where} on ${conflict.start}${times}`;
+}
+
+function renderConflicts() {
+    const container = document.getElementById('preview-conflicts');
+    const list = document.getElementById('conflict-list');
+    list.innerHTML = '';
+    previewConflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        item.textContent = `${conflict.events[0].title}: ${describeConflict(conflict, conflict.events[0])}`;
+        list.appendChild(item);
+    });
+    document.getElementById('conflict-summary').textContent = previewConflicts.length
+        ? `${previewConflicts.length} overlap(s) found. You can still download; adjust times or remove events if needed.`
+        : 'No overlapping events.';
+    container.style.display = previewConflicts.length || conflictCalendar ? 'block' : 'none';
+}
+
+/**
+ * Check the edited events for overlaps again (rows still missing a title or start are left out)
+ */
+async function refreshConflicts() {
+    const events = previewEvents.filter(event => event.title && event.start_time);
     try {
-        const response = await fetch('/api/convert/text', {
+        const response = await apiFetch('/api/conflicts', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ text })
+            body: JSON.stringify({
+                events,
+                timezone: getTimeZone(),
+                term: getTerm(),
+                existing: conflictCalendar || undefined
+            })
         });
-        
+        // Events that don't parse yet (mid-edit) keep the previous result
+        if (!response.ok) {
+            return;
+        }
+        const data = await response.json();
+        setConflicts(data.conflicts, events);
+        renderPreview();
+    } catch (error) {
+        // Conflict checks are advisory; exporting still works without them
+    }
+}
+
+async function checkAgainstCalendar(event) {
+    const file = event.target.files[0];
+    conflictCalendar = file ? await file.text() : null;
+    refreshConflicts();
+}
+
+function isDateOnly(value) {
+    return /^\d{4}-\d{1,2}-\d{1,2}$/.test(String(value || '').trim());
+}
+
+function createAllDayCell(event, index) {
+    const cell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    // Without an explicit flag the server treats date-only events as all-day
+    checkbox.checked = typeof event.all_day === 'boolean'
+        ? event.all_day
+        : isDateOnly(event.start_time) && (!event.end_time || isDateOnly(event.end_time));
+    checkbox.title = 'All-day event (end is the last day)';
+    checkbox.addEventListener('change', () => {
+        previewEvents[index].all_day = checkbox.checked;
+        refreshConflicts();
+    });
+    cell.appendChild(checkbox);
+    return cell;
+}
+
+function createTypeCell(event, index) {
+    const cell = document.createElement('td');
+    const select = document.createElement('select');
+    Object.entries(EVENT_TYPES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = eventType(event);
+    const reasons = reviewReasons(event, 'type');
+    if (reasons.length) {
+        select.classList.add('needs-review');
+        select.title = reasons.join('\n');
+    }
+    select.addEventListener('change', () => {
+        previewEvents[index].type = select.value;
+        markReviewed(previewEvents[index], 'type');
+        renderPreview();
+        refreshConflicts();
+    });
+    cell.appendChild(select);
+    return cell;
+}
+
+// Fields the server flagged as guesses (a default time, an inferred year, a low model score)
+function reviewReasons(event, field) {
+    return (event.review || []).filter(item => item.field === field).map(item => item.reason);
+}
+
+function markReviewed(event, field) {
+    event.review = (event.review || []).filter(item => item.field !== field);
+}
+
+function renderReviewBadge(row, event) {
+    const badge = row.querySelector('.review-badge');
+    const review = event.review || [];
+    badge.style.display = review.length ? '' : 'none';
+    badge.textContent = '⚠ Check';
+    const lines = review.map(item => `${item.field.replace('_', ' ')}: ${item.reason}`);
+    if (event.source_text) {
+        lines.push(`From: "${event.source_text}"`);
+    }
+    badge.title = lines.join('\n');
+}
+
+function renderTypeFilter() {
+    const container = document.getElementById('type-filter');
+    container.innerHTML = '';
+
+    const types = Object.keys(EVENT_TYPES).filter(type => previewEvents.some(event => eventType(event) === type));
+    if (types.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const presets = [['all', 'All'], ['deadlines', 'Exams & deadlines'], ['classes', 'Class meetings']];
+    presets.forEach(([preset, label]) => {
+        const button = document.createElement('button');
+        button.className = 'filter-preset';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            hiddenTypes = new Set(Object.keys(EVENT_TYPES).filter(type => !TYPE_PRESETS[preset].includes(type)));
+            renderPreview();
+        });
+        container.appendChild(button);
+    });
+
+    types.forEach(type => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !hiddenTypes.has(type);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                hiddenTypes.delete(type);
+            } else {
+                hiddenTypes.add(type);
+            }
+            renderPreview();
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(EVENT_TYPES[type]));
+        container.appendChild(label);
+    });
+    container.style.display = 'flex';
+}
+
+function renderPreview() {
+    const tbody = document.getElementById('event-table-body');
+    tbody.innerHTML = '';
+    renderTypeFilter();
+
+    previewEvents.forEach((event, index) => {
+        if (hiddenTypes.has(eventType(event))) {
+            return;
+        }
+        const row = document.createElement('tr');
+        const eventConflicts = conflictsFor(event);
+        if (eventConflicts.length) {
+            row.className = 'conflict';
+            row.title = eventConflicts.map(conflict => describeConflict(conflict, event)).join('\n');
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = event[field] || '';
+            input.placeholder = field === 'start_time' || field === 'end_time' ? 'YYYY-MM-DD [HH:MM]' : '';
+            const reasons = reviewReasons(event, field);
+            if (reasons.length) {
+                input.classList.add('needs-review');
+                input.title = reasons.join('\n');
+            }
+            input.addEventListener('input', () => {
+                previewEvents[index][field] = input.value;
+                // Editing a flagged field counts as checking it
+                if (input.classList.contains('needs-review')) {
+                    markReviewed(previewEvents[index], field);
+                    input.classList.remove('needs-review');
+                    input.title = '';
+                    renderReviewBadge(row, previewEvents[index]);
+                }
+            });
+            if (field === 'start_time' || field === 'end_time') {
+                input.addEventListener('change', refreshConflicts);
+            }
+            cell.appendChild(input);
+            if (field === 'title') {
+                const badge = document.createElement('span');
+                badge.className = 'review-badge';
+                cell.appendChild(badge);
+            }
+            if (field === 'title' && event.source) {
+                const tag = document.createElement('span');
+                tag.className = 'source-tag';
+                tag.textContent = event.source;
+                cell.appendChild(tag);
+            }
+            row.appendChild(cell);
+
+            if (field === 'title') {
+                row.appendChild(createTypeCell(event, index));
+            }
+            if (field === 'end_time') {
+                row.appendChild(createAllDayCell(event, index));
+            }
+        });
+
+        renderReviewBadge(row, event);
+
+        const actionCell = document.createElement('td');
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'remove-file';
+        deleteButton.textContent = '✕';
+        deleteButton.title = 'Remove event';
+        deleteButton.addEventListener('click', () => deleteEventRow(index));
+        actionCell.appendChild(deleteButton);
+        row.appendChild(actionCell);
+
+        tbody.appendChild(row);
+    });
+
+    const visibleCount = visibleEvents().length;
+    document.getElementById('empty-preview').style.display = visibleCount ? 'none' : 'block';
+    document.getElementById('download-btn').disabled = visibleCount === 0;
+}
+
+function renderWarnings(warnings, message) {
+    const container = document.getElementById('preview-warnings');
+    container.innerHTML = '';
+
+    if (warnings.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const heading = document.createElement('p');
+    heading.textContent = message ||
+        `${warnings.length} item(s) could not be read and were skipped. Add them manually if needed:`;
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    warnings.forEach(warning => {
+        const item = document.createElement('li');
+        const label = warning.title || (warning.index === null ? 'AI response' : `Event ${warning.index + 1}`);
+        const source = warning.source ? ` [${warning.source}]` : '';
+        item.textContent = `${label}${source}: ${warning.errors.join('; ')}`;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+    container.style.display = 'block';
+}
+
+function addEventRow() {
+    previewEvents.push({ title: '', type: 'other', start_time: '', end_time: '', location: '', description: '' });
+    hiddenTypes.delete('other');
+    renderPreview();
+}
+
+function deleteEventRow(index) {
+    previewEvents.splice(index, 1);
+    renderPreview();
+    refreshConflicts();
+}
+
+async function downloadCalendar() {
+    clearMessages();
+
+    const asZip = document.getElementById('zip-output').checked;
+    const reminders = document.getElementById('reminders').value;
+    const deadlines = document.getElementById('deadlines').value;
+    const format = document.getElementById('format').value;
+    // Merge mode: leave out events already in a previously downloaded .ics
+    const existingFile = document.getElementById('existing-file').files[0];
+
+    try {
+        const response = await apiFetch('/api/generate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                events: visibleEvents(),
+                timezone: getTimeZone(),
+                reminders: reminders || undefined,
+                deadlines,
+                term: getTerm(),
+                format,
+                existing: existingFile ? await existingFile.text() : undefined,
+                output: asZip ? 'zip' : 'ics'
+            })
+        });
+
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to convert text');
+            if (error.warnings) {
+                renderWarnings(error.warnings, 'Fix these events before downloading:');
+            }
+            throw new Error(apiErrorMessage(error, 'Failed to generate calendar'));
         }
-        
+
+        // The server names the file after the chosen format
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
         const blob = await response.blob();
-        downloadFile(blob, 'calendar.ics');
+        downloadFile(blob, match ? match[1] : 'calendar.ics');
         showSuccess();
     } catch (error) {
         showError(error.message);
-    } finally {
-        hideLoading();
     }
 }
 
-async function convertFile() {
-    if (!selectedFile) {
-        showError('Please select a file');
+// Compare a calendar imported earlier with an updated schedule
+let lastDiff = null;
+let compareExisting = null;
+
+async function compareCalendars() {
+    const existingFile = document.getElementById('compare-existing').files[0];
+    const text = document.getElementById('compare-text').value.trim();
+    const file = document.getElementById('compare-file').files[0];
+
+    if (!existingFile) {
+        showError('Please choose the .ics file you imported before');
         return;
     }
-    
+    if (!text && !file) {
+        showError('Please paste the updated schedule or choose a file');
+        return;
+    }
+
     clearMessages();
     showLoading();
-    
+
     try {
         const formData = new FormData();
-        formData.append('file', selectedFile);
-        
-        const response = await fetch('/api/convert/file', {
+        formData.append('existing', existingFile);
+        if (file) {
+            formData.append('file', file);
+        } else {
+            formData.append('text', text);
+        }
+        appendTerm(formData);
+
+        const response = await apiFetch('/api/diff', {
             method: 'POST',
             body: formData
         });
-        
+
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to convert file');
+            throw new Error(apiErrorMessage(error, 'Failed to compare calendars'));
         }
-        
-        const blob = await response.blob();
-        downloadFile(blob, 'calendar.ics');
-        showSuccess();
+
+        lastDiff = await response.json();
+        compareExisting = await existingFile.text();
+        renderDiff(lastDiff);
     } catch (error) {
         showError(error.message);
     } finally {
@@ -183,32 +698,260 @@ async function convertFile() {
     }
 }
 
-async function convertImage() {
-    if (!selectedImage) {
-        showError('Please select an image');
+function renderDiff(diff) {
+    const list = document.getElementById('diff-list');
+    list.innerHTML = '';
+
+    const sections = [
+        ['Added', 'diff-added', diff.added.map(event => `${event.title} — ${event.start_time}`)],
+        ['Removed', 'diff-removed', diff.removed.map(event => `${event.title} — ${event.start_time}`)],
+        ['Moved', 'diff-moved', diff.moved.map(({ before, after }) =>
+            `${after.title} — ${before.start_time} → ${after.start_time}`)],
+        ['Changed', 'diff-changed', diff.changed.map(({ after, fields }) => `${after.title} (${fields.join(', ')})`)]
+    ];
+
+    for (const [heading, className, items] of sections) {
+        if (items.length === 0) {
+            continue;
+        }
+        const section = document.createElement('div');
+        section.className = `diff-section ${className}`;
+        const title = document.createElement('h3');
+        title.textContent = `${heading} (${items.length})`;
+        const ul = document.createElement('ul');
+        for (const item of items) {
+            const li = document.createElement('li');
+            li.textContent = item;
+            ul.appendChild(li);
+        }
+        section.append(title, ul);
+        list.appendChild(section);
+    }
+
+    const hasChanges = list.children.length > 0;
+    const summary = document.createElement('p');
+    summary.className = 'file-hint';
+    summary.textContent = hasChanges
+        ? `${diff.unchanged} event(s) unchanged.`
+        : 'Nothing changed since the calendar you imported.';
+    list.appendChild(summary);
+
+    document.getElementById('diff-download-btn').style.display = hasChanges ? '' : 'none';
+    document.getElementById('diff-results').style.display = 'block';
+}
+
+async function downloadUpdate() {
+    if (!lastDiff) {
         return;
     }
-    
+    clearMessages();
+
+    const reminders = document.getElementById('reminders').value;
+    try {
+        const response = await apiFetch('/api/diff', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                existing: compareExisting,
+                events: lastDiff.events,
+                timezone: getTimeZone(),
+                reminders: reminders || undefined,
+                deadlines: document.getElementById('deadlines').value,
+                term: getTerm(),
+                output: 'calendar'
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(apiErrorMessage(error, 'Failed to build the update calendar'));
+        }
+
+        downloadFile(await response.blob(), 'calendar-update.ics');
+        showSuccess();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Subscription feed, saved in this browser so later publishes update the same calendar
+const FEED_STORAGE_KEY = 'calendar-converter-feed';
+
+function getSavedFeed() {
+    try {
+        return JSON.parse(localStorage.getItem(FEED_STORAGE_KEY));
+    } catch (error) {
+        localStorage.removeItem(FEED_STORAGE_KEY);
+        return null;
+    }
+}
+
+function showSubscription(feed) {
+    document.getElementById('subscribe-btn').textContent = feed ? 'Update Subscription' : 'Subscribe';
+    document.getElementById('subscription').style.display = feed ? 'block' : 'none';
+    if (feed) {
+        document.getElementById('subscription-webcal').href = feed.webcalUrl;
+        document.getElementById('subscription-url').value = feed.url;
+    }
+}
+
+async function publishCalendar() {
+    clearMessages();
+
+    const saved = getSavedFeed();
+    const reminders = document.getElementById('reminders').value;
+    const headers = { 'Content-Type': 'application/json' };
+    if (saved) {
+        headers.Authorization = `Bearer ${saved.token}`;
+    }
+
+    try {
+        const response = await apiFetch(saved ? `/api/calendars/${saved.id}` : '/api/calendars', {
+            method: saved ? 'PUT' : 'POST',
+            headers,
+            body: JSON.stringify({
+                events: visibleEvents(),
+                timezone: getTimeZone(),
+                reminders: reminders || null,
+                deadlines: document.getElementById('deadlines').value,
+                term: getTerm() || null
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            if (error.warnings) {
+                renderWarnings(error.warnings, 'Fix these events before publishing:');
+            }
+            // The saved calendar was deleted or its token no longer matches: publish a new one next time
+            if (saved && (response.status === 403 || response.status === 404)) {
+                forgetSubscription();
+            }
+            throw new Error(apiErrorMessage(error, 'Failed to publish calendar'));
+        }
+
+        const data = await response.json();
+        const feed = {
+            id: data.id,
+            token: saved ? saved.token : data.token,
+            url: data.url,
+            webcalUrl: data.webcalUrl
+        };
+        localStorage.setItem(FEED_STORAGE_KEY, JSON.stringify(feed));
+        showSubscription(feed);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+function forgetSubscription() {
+    localStorage.removeItem(FEED_STORAGE_KEY);
+    showSubscription(null);
+}
+
+showSubscription(getSavedFeed());
+
+// Academic term, saved in this browser so it is entered (or read from the academic calendar) once
+const TERM_STORAGE_KEY = 'calendar-converter-term';
+let termName = null;
+
+function getTerm() {
+    const start = document.getElementById('term-start').value;
+    const end = document.getElementById('term-end').value;
+    if (!start || !end) {
+        return undefined;
+    }
+
+    // Lines look like "2024-03-11..2024-03-15 Spring Break" or "2024-01-15"
+    const blackouts = document.getElementById('term-blackouts').value
+        .split('\n')
+        .map(line => line.trim().match(/^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?\s*(.*)$/))
+        .filter(Boolean)
+        .map(([, blackoutStart, blackoutEnd, label]) => ({
+            label: label || null,
+            start: blackoutStart,
+            end: blackoutEnd || blackoutStart
+        }));
+
+    return { name: termName, start, end, blackouts };
+}
+
+function appendTerm(formData) {
+    const term = getTerm();
+    if (term) {
+        formData.append('term', JSON.stringify(term));
+    }
+}
+
+function fillTerm(term) {
+    termName = term.name || null;
+    document.getElementById('term-start').value = term.start || '';
+    document.getElementById('term-end').value = term.end || '';
+    document.getElementById('term-blackouts').value = (term.blackouts || [])
+        .map(blackout => {
+            const range = blackout.end && blackout.end !== blackout.start
+                ? `${blackout.start}..${blackout.end}`
+                : blackout.start;
+            return blackout.label ? `${range} ${blackout.label}` : range;
+        })
+        .join('\n');
+}
+
+function saveTerm() {
+    const term = getTerm();
+    if (term) {
+        localStorage.setItem(TERM_STORAGE_KEY, JSON.stringify(term));
+    } else {
+        localStorage.removeItem(TERM_STORAGE_KEY);
+    }
+}
+
+function loadTerm() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TERM_STORAGE_KEY));
+        if (saved) {
+            fillTerm(saved);
+            document.getElementById('term-panel').open = true;
+        }
+    } catch (error) {
+        localStorage.removeItem(TERM_STORAGE_KEY);
+    }
+}
+
+function clearTerm() {
+    fillTerm({});
+    saveTerm();
+}
+
+async function extractTerm(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+        return;
+    }
+
     clearMessages();
     showLoading();
-    
+
     try {
         const formData = new FormData();
-        formData.append('file', selectedImage);
-        
-        const response = await fetch('/api/convert/file', {
+        formData.append('file', file);
+
+        const response = await apiFetch('/api/extract/term', {
             method: 'POST',
             body: formData
         });
-        
+
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to convert image');
+            throw new Error(apiErrorMessage(error, 'Failed to read the academic calendar'));
         }
-        
-        const blob = await response.blob();
-        downloadFile(blob, 'calendar.ics');
-        showSuccess();
+
+        const data = await response.json();
+        fillTerm(data.term);
+        saveTerm();
     } catch (error) {
         showError(error.message);
     } finally {
@@ -216,7 +959,17 @@ async function convertImage() {
     }
 }
 
+['term-start', 'term-end', 'term-blackouts'].forEach(id => {
+    document.getElementById(id).addEventListener('change', saveTerm);
+});
+loadTerm();
+
 // Utility functions
+function getTimeZone() {
+    // Event times are interpreted in the student's zone, not the server's
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
 function downloadFile(blob, filename) {
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -228,7 +981,10 @@ function downloadFile(blob, filename) {
     document.body.removeChild(a);
 }
 
-function showLoading() {
+// Only streamed extractions can be cancelled
+function showLoading(cancellable = false) {
+    setLoadingStage('Processing schedule with AI...');
+    document.getElementById('cancel-btn').style.display = cancellable ? '' : 'none';
     document.getElementById('loading').style.display = 'block';
 }
 
@@ -236,6 +992,58 @@ function hideLoading() {
     document.getElementById('loading').style.display = 'none';
 }
 
+// What to tell the user for each API error code (see lib/errors.js)
+const ERROR_MESSAGES = {
+    rate_limited: body => `The AI service is busy right now. Please try again ${body.retryAfter ? `in ${body.retryAfter} seconds` : 'in a minute'}.`,
+    upstream_unavailable: body => `The AI service is not available right now (${body.error}). Please try again shortly.`,
+    invalid_input: body => `This input can't be converted: ${body.error}`,
+    too_many_requests: body => `Too many conversions in a short time. Please wait ${body.retryAfter || 60} seconds and try again.`,
+    quota_exceeded: body => `Today's conversion quota is used up. It resets in ${Math.ceil((body.retryAfter || 3600) / 3600)} hour(s).`,
+    unauthorized: body => `${body.error}. Reload the page to enter an API key.`
+};
+
+// API key for deployments that require one (see lib/access.js); asked for on the first 401
+const API_KEY_STORAGE_KEY = 'calendar-converter-api-key';
+
+/**
+ * fetch() with the saved API key in X-API-Key. When the server asks for a key (or rejects the
+ * saved one), prompt for it and send the request again.
+ */
+async function apiFetch(url, init = {}) {
+    const send = () => {
+        const headers = new Headers(init.headers);
+        const key = localStorage.getItem(API_KEY_STORAGE_KEY);
+        if (key) {
+            headers.set('X-API-Key', key);
+        }
+        return fetch(url, { ...init, headers });
+    };
+
+    const response = await send();
+    if (response.status !== 401) {
+        return response;
+    }
+    const body = await response.clone().json().catch(() => ({}));
+    if (body.code !== 'unauthorized') {
+        return response;
+    }
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+    const key = window.prompt(`${body.error}. Enter your API key:`);
+    if (!key || !key.trim()) {
+        return response;
+    }
+    localStorage.setItem(API_KEY_STORAGE_KEY, key.trim());
+    return send();
+}
+
+/**
+ * The message for a failed API response body ({ error, code, retryAfter })
+ */
+function apiErrorMessage(body, fallback) {
+    const describe = body && ERROR_MESSAGES[body.code];
+    return describe ? describe(body) : (body && body.error) || fallback;
+}
+
 function showError(message) {
     const errorDiv = document.getElementById('error-message');
     errorDiv.textContent = message;
@@ -0,0 +1,398 @@
+/**
+ * Who may call the routes that spend model quota, and how often: optional API keys (from a
+ * config file or the environment), per-key and per-IP rate limits, and daily quotas with usage
+ * counters. Requests without a key are limited by IP; keys can be required altogether.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Response headers browsers on other origins may read
+const EXPOSED_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+    'X-Quota-Limit', 'X-Quota-Remaining', 'X-Cache', 'X-Calendar-Warnings', 'Content-Disposition'];
+
+const DEFAULTS = {
+    ipRateLimit: 20,
+    keyRateLimit: 60,
+    ipDailyQuota: 0,
+    keyDailyQuota: 0,
+    windowMs: 60 * 1000
+};
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+function readLimit(value, fallback) {
+    const number = parseInt(value);
+    return Number.isNaN(number) || number < 0 ? fallback : number;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function nextMidnight() {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+/**
+ * Parse API keys from a config file's JSON ({ "keys": [...] } or the array itself) or the
+ * API_KEYS variable ("name:key,name:key"; a bare key is named after its position)
+ * @returns {Array<{name: string, key: string, rateLimit?: number, dailyQuota?: number}>}
+ */
+function parseKeys(source) {
+    if (!source) {
+        return [];
+    }
+    if (typeof source === 'string') {
+        return source.split(',').map(value => value.trim()).filter(Boolean).map((value, index) => {
+            const separator = value.indexOf(':');
+            return separator === -1
+                ? { name: `key-${index + 1}`, key: value }
+                : { name: value.slice(0, separator), key: value.slice(separator + 1) };
+        });
+    }
+    const keys = Array.isArray(source) ? source : source.keys;
+    if (!Array.isArray(keys)) {
+        throw new Error('API key config must be an array of keys or { "keys": [...] }');
+    }
+    return keys.map((entry, index) => {
+        if (!entry || typeof entry.key !== 'string' || !entry.key) {
+            throw new Error(`API key ${index + 1} has no "key"`);
+        }
+        return { ...entry, name: entry.name || `key-${index + 1}` };
+    });
+}
+
+/**
+ * Access settings from environment variables; see .env.example
+ */
+function accessConfigFromEnv(env = process.env) {
+    const keys = [
+        ...(env.API_KEYS_FILE ? parseKeys(JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf-8'))) : []),
+        ...parseKeys(env.API_KEYS)
+    ];
+    return {
+        keys,
+        requireKey: /^(1|true|yes)$/i.test(env.REQUIRE_API_KEY || ''),
+        ipRateLimit: env.RATE_LIMIT_PER_IP,
+        keyRateLimit: env.RATE_LIMIT_PER_KEY,
+        ipDailyQuota: env.DAILY_QUOTA_PER_IP,
+        keyDailyQuota: env.DAILY_QUOTA_PER_KEY,
+        usageFile: env.USAGE_FILE
+    };
+}
+
+/**
+ * Parse CORS_ORIGINS ("https://a.example,https://b.example") into options for the cors package;
+ * every origin is allowed when it is not set (or is "*")
+ */
+function corsOptionsFromEnv(env = process.env) {
+    const origins = String(env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    return {
+        origin: origins.length === 0 || origins.includes('*') ? '*' : origins,
+        exposedHeaders: EXPOSED_HEADERS
+    };
+}
+
+/**
+ * TRUST_PROXY as an Express "trust proxy" value (true/false, a hop count, or addresses), so rate
+ * limits behind a reverse proxy see the client's IP; undefined when it is not set
+ */
+function trustProxyFromEnv(env = process.env) {
+    const value = env.TRUST_PROXY;
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    if (/^(true|false)$/i.test(value)) {
+        return value.toLowerCase() === 'true';
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+class AccessControl {
+    /**
+     * @param {object} [options]
+     * @param {object[]} [options.keys] - API keys, see parseKeys; each may set its own rateLimit and dailyQuota
+     * @param {boolean} [options.requireKey] - answer 401 to requests without a valid key
+     * @param {number} [options.ipRateLimit] - requests per minute from one IP without a key (default 20, 0 for no limit)
+     * @param {number} [options.keyRateLimit] - requests per minute per key (default 60, 0 for no limit)
+     * @param {number} [options.ipDailyQuota] - requests per day from one IP without a key (default 0, no quota)
+     * @param {number} [options.keyDailyQuota] - requests per day per key (default 0, no quota)
+     * @param {string} [options.usageFile] - JSON file the daily usage counters are kept in across restarts
+     */
+    constructor(options = {}) {
+        this.keys = parseKeys(options.keys).map(entry => ({ ...entry, hash: hashKey(entry.key) }));
+        this.requireKey = !!options.requireKey;
+        this.ipRateLimit = readLimit(options.ipRateLimit, DEFAULTS.ipRateLimit);
+        this.keyRateLimit = readLimit(options.keyRateLimit, DEFAULTS.keyRateLimit);
+        this.ipDailyQuota = readLimit(options.ipDailyQuota, DEFAULTS.ipDailyQuota);
+        this.keyDailyQuota = readLimit(options.keyDailyQuota, DEFAULTS.keyDailyQuota);
+        this.windowMs = options.windowMs || DEFAULTS.windowMs;
+        this.usageFile = options.usageFile || null;
+        this.windows = new Map();
+        this.usage = { date: today(), counts: {} };
+        this.loadUsage();
+    }
+
+    /**
+     * The configured key matching the X-API-Key header, compared in constant time
+     */
+    findKey(value) {
+        const hash = hashKey(value);
+        return this.keys.find(entry => crypto.timingSafeEqual(entry.hash, hash)) || null;
+    }
+
+    /**
+     * Who is calling, and their limits: the key's settings, or the per-IP ones
+     */
+    identify(req, key) {
+        if (key) {
+            return {
+                id: `key:${key.name}`,
+                key: key.name,
+                rateLimit: readLimit(key.rateLimit, this.keyRateLimit),
+                dailyQuota: readLimit(key.dailyQuota, this.keyDailyQuota)
+            };
+        }
+        return { id: `ip:${req.ip}`, key: null, rateLimit: this.ipRateLimit, dailyQuota: this.ipDailyQuota };
+    }
+
+    /**
+     * Today's request count for an identity; counters start again at midnight UTC
+     */
+    used(id) {
+        if (this.usage.date !== today()) {
+            this.usage = { date: today(), counts: {} };
+        }
+        return this.usage.counts[id] || 0;
+    }
+
+    /**
+     * The identity's current rate limit window, or null when it has none running
+     * @returns {{count: number, resetAt: number}|null}
+     */
+    currentWindow(id) {
+        const window = this.windows.get(id);
+        return window && window.resetAt > Date.now() ? window : null;
+    }
+
+    /**
+     * Count a request in the identity's current rate limit window
+     * @returns {{count: number, resetAt: number}}
+     */
+    hit(id) {
+        const now = Date.now();
+        let window = this.currentWindow(id);
+        if (!window) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(id, window);
+            // Drop windows that have ended, so idle clients don't pile up
+            for (const [other, { resetAt }] of this.windows) {
+                if (resetAt <= now) this.windows.delete(other);
+            }
+        }
+        window.count++;
+        return window;
+    }
+
+    /**
+     * Usage of the caller, as returned by GET /api/usage
+     */
+    describe(identity) {
+        const window = this.currentWindow(identity.id);
+        const inWindow = window ? window.count : 0;
+        const used = this.used(identity.id);
+        return {
+            key: identity.key,
+            rateLimit: identity.rateLimit
+                ? { limit: identity.rateLimit, remaining: Math.max(identity.rateLimit - inWindow, 0), windowSeconds: this.windowMs / 1000 }
+                : null,
+            dailyQuota: identity.dailyQuota
+                ? { limit: identity.dailyQuota, used, remaining: Math.max(identity.dailyQuota - used, 0), resetsAt: new Date(nextMidnight()).toISOString() }
+                : { limit: null, used }
+        };
+    }
+
+    /**
+     * RateLimit-* and X-Quota-* headers with what the identity has left
+     */
+    setHeaders(res, identity) {
+        if (identity.rateLimit) {
+            const window = this.currentWindow(identity.id);
+            const reset = window ? Math.ceil((window.resetAt - Date.now()) / 1000) : this.windowMs / 1000;
+            res.setHeader('RateLimit-Limit', String(identity.rateLimit));
+            res.setHeader('RateLimit-Remaining', String(Math.max(identity.rateLimit - (window ? window.count : 0), 0)));
+            res.setHeader('RateLimit-Reset', String(reset));
+        }
+        if (identity.dailyQuota) {
+            res.setHeader('X-Quota-Limit', String(identity.dailyQuota));
+            res.setHeader('X-Quota-Remaining', String(Math.max(identity.dailyQuota - this.used(identity.id), 0)));
+        }
+    }
+
+    /**
+     * Count a request against the identity's rate limit and daily quota
+     * @returns {object} what was counted, for unrecord
+     */
+    record(identity) {
+        const window = identity.rateLimit ? this.hit(identity.id) : null;
+        this.usage.counts[identity.id] = this.used(identity.id) + 1;
+        this.saveUsage();
+        return { window, date: this.usage.date };
+    }
+
+    /**
+     * Give back a request counted by record, unless its window or day has ended since
+     */
+    unrecord(identity, { window, date }) {
+        if (window && this.windows.get(identity.id) === window && window.count > 0) {
+            window.count--;
+        }
+        if (this.usage.date === date && this.usage.counts[identity.id] > 0) {
+            this.usage.counts[identity.id]--;
+            this.saveUsage();
+        }
+    }
+
+    /**
+     * Express middleware for the routes that call the model: checks the key, the rate limit and
+     * the daily quota, and counts the request at once, so requests still loading their input or
+     * waiting in the job queue hold their slot. Rejections use the API error shape
+     * ({ error, code, retryAfter }): 401 unauthorized, 429 too_many_requests or quota_exceeded.
+     *
+     * Only requests that call the model keep their slot. Routes report that through res.locals.usage:
+     *   modelCalled() - the request called the model (more calls in the same request count once)
+     *   hold()        - the work goes on after the response (a job): settle or release it when it ends
+     *   settle()      - the request is done: give the slot back unless it called the model
+     *   release()     - the request failed: give the slot back
+     * Without hold(), the response settles the slot when it closes, and releases it for an error status.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const { identity, error } = this.authenticate(req);
+            if (error) {
+                return res.status(401).json({ error, code: 'unauthorized' });
+            }
+
+            const window = this.currentWindow(identity.id);
+            if (identity.rateLimit && window && window.count >= identity.rateLimit) {
+                const reset = Math.ceil((window.resetAt - Date.now()) / 1000);
+                this.setHeaders(res, identity);
+                res.setHeader('Retry-After', String(reset));
+                return res.status(429).json({
+                    error: `Too many requests: the limit is ${identity.rateLimit} per minute`,
+                    code: 'too_many_requests',
+                    retryAfter: reset
+                });
+            }
+            if (identity.dailyQuota && this.used(identity.id) >= identity.dailyQuota) {
+                const reset = Math.ceil((nextMidnight() - Date.now()) / 1000);
+                this.setHeaders(res, identity);
+                res.setHeader('Retry-After', String(reset));
+                return res.status(429).json({
+                    error: `Daily quota used up (${identity.dailyQuota} requests per day)`,
+                    code: 'quota_exceeded',
+                    retryAfter: reset
+                });
+            }
+
+            const counted = this.record(identity);
+            this.setHeaders(res, identity);
+            let calledModel = false;
+            let held = false;
+            let done = false;
+            const usage = {
+                modelCalled: () => {
+                    calledModel = true;
+                },
+                hold: () => {
+                    held = true;
+                },
+                settle: () => {
+                    if (!calledModel) {
+                        usage.release();
+                    }
+                    done = true;
+                },
+                release: () => {
+                    if (done) return;
+                    done = true;
+                    this.unrecord(identity, counted);
+                    if (!res.headersSent) {
+                        this.setHeaders(res, identity);
+                    }
+                }
+            };
+            res.locals.usage = usage;
+            res.on('close', () => {
+                if (held) return;
+                if (res.statusCode >= 400 || !res.writableFinished) {
+                    usage.release();
+                } else {
+                    usage.settle();
+                }
+            });
+            next();
+        };
+    }
+
+    /**
+     * The caller's identity from the X-API-Key header, or an error message for a 401
+     * @returns {{identity?: object, error?: string}}
+     */
+    authenticate(req) {
+        const value = req.get('X-API-Key');
+        if (value) {
+            const key = this.findKey(value);
+            return key ? { identity: this.identify(req, key) } : { error: 'Invalid API key' };
+        }
+        if (this.requireKey) {
+            return { error: 'An API key is required (send it in the X-API-Key header)' };
+        }
+        return { identity: this.identify(req, null) };
+    }
+
+    loadUsage() {
+        if (!this.usageFile) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.usageFile, 'utf-8'));
+            if (saved.date === today() && saved.counts) {
+                this.usage = saved;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read usage counters from ${this.usageFile}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Write the counters to usageFile, at most once a second
+     */
+    saveUsage() {
+        if (!this.usageFile || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            try {
+                fs.mkdirSync(path.dirname(this.usageFile), { recursive: true });
+                const tmp = `${this.usageFile}.${process.pid}.tmp`;
+                fs.writeFileSync(tmp, JSON.stringify(this.usage), 'utf-8');
+                fs.renameSync(tmp, this.usageFile);
+            } catch (error) {
+                console.warn(`Could not save usage counters to ${this.usageFile}:`, error.message);
+            }
+        }, 1000);
+        this.saveTimer.unref();
+    }
+}
+
+module.exports = {
+    AccessControl,
+    accessConfigFromEnv,
+    corsOptionsFromEnv,
+    trustProxyFromEnv
+};
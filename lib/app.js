@@ -0,0 +1,1033 @@
+/**
+ * Express app shared by the long-running server (server.js) and the Vercel handler (api/index.js)
+ */
+
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const cors = require('cors');
+const { MAX_BATCH_FILES } = require('./batch');
+const { resolveTimeZone } = require('./timezone');
+const { parseReminders } = require('./reminders');
+const { resolveDeadlineMode } = require('./todos');
+const { parseTerm, serializeTerm } = require('./term');
+const { resolveFormat } = require('./formats');
+const { CalendarStore } = require('./calendar-store');
+const { isCalendarText } = require('./merge');
+const { JobQueue } = require('./jobs');
+const { ConversionError } = require('./errors');
+const { AccessControl } = require('./access');
+
+const FRONTEND_DIR = path.join(__dirname, '..', 'frontend');
+
+/**
+ * Adapt multer uploads to pipeline inputs
+ */
+function uploadToInput(file) {
+    return { buffer: file.buffer, filename: file.originalname };
+}
+
+/**
+ * Send a rendered calendar (see pipeline.render) as a calendar.<ext> download
+ */
+function sendCalendar(res, rendered, warnings = []) {
+    // Events the model got wrong are skipped rather than failing the whole conversion
+    res.setHeader('X-Calendar-Warnings', String(warnings.length));
+    if (rendered.merge) {
+        res.setHeader('X-Calendar-Added', String(rendered.merge.added));
+        res.setHeader('X-Calendar-Changed', String(rendered.merge.changed));
+        res.setHeader('X-Calendar-Unchanged', String(rendered.merge.unchanged));
+    }
+    res.setHeader('Content-Type', rendered.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="calendar.${rendered.extension}"`);
+    res.send(rendered.content);
+}
+
+/**
+ * The JSON body for a failed request: { error, code, retryAfter } for errors with an API error code
+ * (see lib/errors), so clients can tell "try again later" from "this input won't work"
+ */
+function errorBody(error) {
+    if (!(error instanceof ConversionError)) {
+        return { error: error.message };
+    }
+    const body = { error: error.message, code: error.code };
+    if (error.retryAfter) {
+        body.retryAfter = Math.ceil(error.retryAfter);
+    }
+    return body;
+}
+
+/**
+ * Answer a failed request: the error's own status for ConversionErrors (with Retry-After when the
+ * provider gave one), 500 for anything else
+ */
+function sendError(res, error) {
+    const body = errorBody(error);
+    if (body.retryAfter) {
+        res.setHeader('Retry-After', String(body.retryAfter));
+    }
+    res.status(error instanceof ConversionError ? error.status : 500).json(body);
+}
+
+/**
+ * Send a zip of per-source calendar files
+ */
+function sendZip(res, zip) {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="calendars.zip"');
+    res.send(zip);
+}
+
+/**
+ * Export options in the JSON form saved with a subscribed calendar; the calendar routes read
+ * them back as request fields, so reminders are written in the "15m" form parseReminders accepts
+ */
+function serializeCalendarOptions(calendarOptions) {
+    return {
+        timezone: calendarOptions.timezone,
+        reminders: calendarOptions.reminders ? calendarOptions.reminders.map(minutes => `${minutes}m`) : null,
+        deadlines: calendarOptions.deadlines,
+        term: calendarOptions.term ? serializeTerm(calendarOptions.term) : null
+    };
+}
+
+/**
+ * The calendar the user already has: an uploaded `existing` file, or its ICS text as a body field
+ */
+function existingCalendarText(req) {
+    const uploaded = req.files && req.files.existing ? req.files.existing[0] : null;
+    return uploaded ? uploaded.buffer.toString('utf-8') : req.body.existing;
+}
+
+/**
+ * Whether the request may use cached extraction results: not with "Cache-Control: no-cache"
+ * (or no-store), nor with a cache field set to false
+ */
+function cacheAllowed(req) {
+    return !/no-cache|no-store/i.test(req.get('Cache-Control') || '') && String(req.body.cache) !== 'false';
+}
+
+/**
+ * The token for updating a saved calendar, from "Authorization: Bearer <token>" or the body
+ */
+function calendarToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : req.body.token;
+}
+
+/**
+ * Create the API and frontend app
+ * @param {object} options
+ * @param {CalendarConverter|null} options.converter - null when the provider could not be set up;
+ *   conversion routes then answer 500 and /api/health reports it
+ * @param {string} [options.providerName] - reported by /api/health when there is no converter
+ * @param {string} [options.notReadyMessage] - error returned while there is no converter
+ * @param {CalendarStore} [options.store] - where subscribed calendars are saved (default data/calendars)
+ * @param {string} [options.publicUrl] - base URL for feed links, when the request's host is not the public one
+ * @param {JobQueue} [options.jobs] - runs the conversions queued with POST /api/jobs
+ * @param {AccessControl} [options.access] - API keys, rate limits and quotas for the routes that call the model
+ * @param {object} [options.cors] - options for the cors package, e.g. an origin allowlist (default: any origin)
+ * @param {boolean|number|string} [options.trustProxy] - Express "trust proxy" setting, so rate limits see
+ *   the client's IP rather than the proxy's
+ */
+function createApp(options = {}) {
+    const converter = options.converter || null;
+    const pipeline = converter ? converter.pipeline : null;
+    const notReadyMessage = options.notReadyMessage ||
+        'Calendar converter not initialized. GEMINI_API_KEY is required.';
+    const store = options.store || new CalendarStore();
+    const jobs = options.jobs || new JobQueue();
+    const access = options.access || new AccessControl();
+
+    const app = express();
+
+    // Uploads are kept in memory: files are small and serverless hosts have no writable disk
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: 10 * 1024 * 1024 // 10MB limit
+        }
+    });
+
+    if (options.trustProxy !== undefined) {
+        app.set('trust proxy', options.trustProxy);
+    }
+
+    // Middleware
+    app.use(cors(options.cors));
+    app.use(express.json());
+    app.use(express.static(FRONTEND_DIR));
+
+    /**
+     * API key, rate limit and daily quota checks for the routes that call the model (see lib/access);
+     * routes that only build files from events stay open
+     */
+    const requireAccess = access.middleware();
+
+    /**
+     * Answer 500 from conversion routes when the provider is not configured
+     */
+    const requireConverter = (req, res, next) => {
+        if (!pipeline) {
+            return res.status(500).json({ error: notReadyMessage });
+        }
+        next();
+    };
+
+    /**
+     * Read the export options (timezone, reminders, deadlines, term, format) from the request body
+     * (format may also be a query parameter), answering 400 for bad values
+     * @param {object} [defaults] - values for fields the body leaves out (a saved calendar's options)
+     * @returns {object|undefined} options for pipeline.render (and extraction context), undefined when the response has been sent
+     */
+    const calendarOptionsFromBody = (req, res, defaults = {}) => {
+        const body = { ...defaults, ...req.body };
+        const timezone = resolveTimeZone(body.timezone);
+        if (body.timezone && !timezone) {
+            res.status(400).json({ error: `Unknown time zone: ${body.timezone}` });
+            return undefined;
+        }
+
+        try {
+            return {
+                timezone,
+                reminders: parseReminders(body.reminders),
+                deadlines: resolveDeadlineMode(body.deadlines),
+                term: parseTerm(body.term, converter),
+                format: resolveFormat(req.query.format || body.format)
+            };
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+            return undefined;
+        }
+    };
+
+    /**
+     * Wrap an onProgress callback so the request keeps its rate limit and daily quota slot (see
+     * lib/access) once it calls the model; answered from the cache, it gives the slot back
+     */
+    const countModelUse = (res, onProgress) => (stage, details) => {
+        if (stage === 'model' && res.locals.usage) {
+            res.locals.usage.modelCalled();
+        }
+        if (onProgress) {
+            onProgress(stage, details);
+        }
+    };
+
+    /**
+     * The extraction context for a request: its options, whether the cache may be used, and an
+     * X-Cache response header saying HIT when every extraction came from the cache, MISS when
+     * the model was called, or BYPASS when the request asked not to use the cache
+     */
+    const extractionContext = (req, res, calendarOptions) => {
+        const cache = cacheAllowed(req);
+        if (!cache) {
+            res.setHeader('X-Cache', 'BYPASS');
+        }
+        let misses = 0;
+        return {
+            ...calendarOptions,
+            cache,
+            onProgress: countModelUse(res, (stage, details = {}) => {
+                if (stage !== 'cache' || !cache || res.headersSent) return;
+                if (!details.hit) {
+                    misses++;
+                }
+                res.setHeader('X-Cache', misses === 0 ? 'HIT' : 'MISS');
+            })
+        };
+    };
+
+    /**
+     * Merge mode: add the calendar the user already imported (an `existing` upload, or the ICS text
+     * as a body field) to the options, so only new and changed events are returned
+     * @returns {boolean} false when a 400 has been sent
+     */
+    const addExistingCalendar = (req, res, calendarOptions) => {
+        const existing = existingCalendarText(req);
+        if (!existing) {
+            return true;
+        }
+        if (typeof existing !== 'string' || !isCalendarText(existing)) {
+            res.status(400).json({ error: 'existing must be an ICS calendar' });
+            return false;
+        }
+        if (calendarOptions.format !== 'ics' || req.body.output === 'zip') {
+            res.status(400).json({ error: 'Merging with an existing calendar needs a single ICS file as output' });
+            return false;
+        }
+        calendarOptions.existing = existing;
+        return true;
+    };
+
+    /**
+     * Extraction results with the events that overlap each other or the user's
+     * calendar (an optional `existing` ICS)
+     */
+    const extractedResponse = (req, eventsData, calendarOptions) => {
+        const existing = existingCalendarText(req);
+        const events = eventsData.events || [];
+        return {
+            ...eventsData,
+            events,
+            warnings: eventsData.warnings || [],
+            conflicts: pipeline.findConflicts(events, calendarOptions, isCalendarText(existing) ? existing : null)
+        };
+    };
+
+    const sendExtracted = (req, res, eventsData, calendarOptions) => {
+        res.json(extractedResponse(req, eventsData, calendarOptions));
+    };
+
+    /**
+     * Run an extraction while streaming its progress as NDJSON, one message per line:
+     *   { "type": "stage", "stage": "received" | "reading" | "cache" | "model" | "retrying" | "repairing" | "parsing" | "found", ... }
+     *   { "type": "event", "event": {...} } for each event as soon as its file has been parsed
+     *   { "type": "done", ...the /api/extract response } or { "type": "error", "error": "..." }
+     * Closing the connection (the Cancel button) aborts the model call.
+     * @param {function(object): Promise<object>} extract - runs the extraction with the given context
+     */
+    const streamExtraction = async (req, res, calendarOptions, extract) => {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+            }
+        });
+
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Cache-Control', 'no-cache');
+        // Stop proxies like nginx from holding the stream back until it ends
+        res.setHeader('X-Accel-Buffering', 'no');
+        const send = message => res.write(`${JSON.stringify(message)}\n`);
+
+        const onProgress = countModelUse(res, (stage, details = {}) => {
+            if (stage === 'found') {
+                const { events, ...rest } = details;
+                send({ type: 'stage', stage, ...rest, count: events.length });
+                events.forEach(event => send({ type: 'event', event, ...rest }));
+            } else {
+                send({ type: 'stage', stage, ...details });
+            }
+        });
+
+        send({ type: 'stage', stage: 'received' });
+        try {
+            const eventsData = await extract({
+                ...calendarOptions,
+                cache: cacheAllowed(req),
+                signal: controller.signal,
+                onProgress
+            });
+            send({ type: 'done', ...extractedResponse(req, eventsData, calendarOptions) });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                console.log('Extraction cancelled by the client');
+                return;
+            }
+            console.error('Error streaming extraction:', error);
+            // Errors arrive in the stream after a 200, so the access check can't tell from the status
+            res.locals.usage.release();
+            send({ type: 'error', ...errorBody(error) });
+        }
+        res.end();
+    };
+
+    // API Routes
+
+    /**
+     * POST /api/convert/text
+     * Convert text input to an ICS file (or another format with ?format=)
+     */
+    app.post('/api/convert/text', requireAccess, requireConverter, async (req, res) => {
+        try {
+            const { text } = req.body;
+
+            if (!text || typeof text !== 'string') {
+                return res.status(400).json({ error: 'Text input is required' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions || !addExistingCalendar(req, res, calendarOptions)) return;
+
+            console.log('Processing text input...');
+            const eventsData = await pipeline.extract({ text }, extractionContext(req, res, calendarOptions));
+            sendCalendar(res, pipeline.render(eventsData, calendarOptions), eventsData.warnings);
+        } catch (error) {
+            console.error('Error processing text:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/convert/file
+     * Convert uploaded file to ICS (or another format with ?format=)
+     */
+    app.post('/api/convert/file', requireAccess, requireConverter, upload.fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'existing', maxCount: 1 }
+    ]), async (req, res) => {
+        try {
+            const file = req.files && req.files.file ? req.files.file[0] : null;
+            if (!file) {
+                return res.status(400).json({ error: 'File is required' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions || !addExistingCalendar(req, res, calendarOptions)) return;
+
+            const eventsData = await pipeline.extract(uploadToInput(file), extractionContext(req, res, calendarOptions));
+            sendCalendar(res, pipeline.render(eventsData, calendarOptions), eventsData.warnings);
+        } catch (error) {
+            console.error('Error processing file:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/convert/batch
+     * Convert several uploaded files into one merged calendar file,
+     * or a zip of per-course files with output=zip
+     */
+    app.post('/api/convert/batch', requireAccess, requireConverter, upload.fields([
+        { name: 'files', maxCount: MAX_BATCH_FILES },
+        { name: 'existing', maxCount: 1 }
+    ]), async (req, res) => {
+        try {
+            const files = req.files && req.files.files ? req.files.files : [];
+            if (files.length === 0) {
+                return res.status(400).json({ error: 'At least one file is required' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions || !addExistingCalendar(req, res, calendarOptions)) return;
+
+            console.log(`Processing batch of ${files.length} file(s)...`);
+            const merged = await pipeline.extractMany(files.map(uploadToInput), extractionContext(req, res, calendarOptions));
+
+            if (req.body.output === 'zip') {
+                return sendZip(res, await pipeline.toZip(merged.events, calendarOptions));
+            }
+            sendCalendar(res, pipeline.render(merged, calendarOptions), merged.warnings);
+        } catch (error) {
+            console.error('Error processing batch:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/extract/text
+     * Extract events from text as JSON for review before generating the ICS file
+     */
+    app.post('/api/extract/text', requireAccess, requireConverter, async (req, res) => {
+        try {
+            const { text } = req.body;
+
+            if (!text || typeof text !== 'string') {
+                return res.status(400).json({ error: 'Text input is required' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions) return;
+
+            console.log('Extracting events from text input...');
+            const eventsData = await pipeline.extract({ text }, extractionContext(req, res, calendarOptions));
+
+            sendExtracted(req, res, eventsData, calendarOptions);
+        } catch (error) {
+            console.error('Error extracting text:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/extract/file
+     * Extract events from an uploaded file as JSON
+     */
+    app.post('/api/extract/file', requireAccess, requireConverter, upload.fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'existing', maxCount: 1 }
+    ]), async (req, res) => {
+        try {
+            const file = req.files && req.files.file ? req.files.file[0] : null;
+            if (!file) {
+                return res.status(400).json({ error: 'File is required' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions) return;
+
+            const eventsData = await pipeline.extract(uploadToInput(file), extractionContext(req, res, calendarOptions));
+
+            sendExtracted(req, res, eventsData, calendarOptions);
+        } catch (error) {
+            console.error('Error extracting file:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/extract/batch
+     * Extract and merge events from several uploaded files as JSON
+     */
+    app.post('/api/extract/batch', requireAccess, requireConverter, upload.fields([
+        { name: 'files', maxCount: MAX_BATCH_FILES },
+        { name: 'existing', maxCount: 1 }
+    ]), async (req, res) => {
+        try {
+            const files = req.files && req.files.files ? req.files.files : [];
+            if (files.length === 0) {
+                return res.status(400).json({ error: 'At least one file is required' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions) return;
+
+            console.log(`Extracting events from batch of ${files.length} file(s)...`);
+            const merged = await pipeline.extractMany(files.map(uploadToInput), extractionContext(req, res, calendarOptions));
+
+            sendExtracted(req, res, merged, calendarOptions);
+        } catch (error) {
+            console.error('Error extracting batch:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/stream/text
+     * Extract events from text like /api/extract/text, streaming progress and events as NDJSON
+     */
+    app.post('/api/stream/text', requireAccess, requireConverter, async (req, res) => {
+        const { text } = req.body;
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({ error: 'Text input is required' });
+        }
+
+        const calendarOptions = calendarOptionsFromBody(req, res);
+        if (!calendarOptions) return;
+
+        console.log('Streaming extraction from text input...');
+        await streamExtraction(req, res, calendarOptions, context => pipeline.extract({ text }, context));
+    });
+
+    /**
+     * POST /api/stream/file
+     * Extract events from an uploaded file like /api/extract/file, streaming progress as NDJSON
+     */
+    app.post('/api/stream/file', requireAccess, requireConverter, upload.fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'existing', maxCount: 1 }
+    ]), async (req, res) => {
+        const file = req.files && req.files.file ? req.files.file[0] : null;
+        if (!file) {
+            return res.status(400).json({ error: 'File is required' });
+        }
+
+        const calendarOptions = calendarOptionsFromBody(req, res);
+        if (!calendarOptions) return;
+
+        await streamExtraction(req, res, calendarOptions, context => pipeline.extract(uploadToInput(file), context));
+    });
+
+    /**
+     * POST /api/stream/batch
+     * Extract and merge events from several files like /api/extract/batch, streaming progress as NDJSON;
+     * the events of each file are streamed as it finishes, the merged list comes with "done"
+     */
+    app.post('/api/stream/batch', requireAccess, requireConverter, upload.fields([
+        { name: 'files', maxCount: MAX_BATCH_FILES },
+        { name: 'existing', maxCount: 1 }
+    ]), async (req, res) => {
+        const files = req.files && req.files.files ? req.files.files : [];
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'At least one file is required' });
+        }
+
+        const calendarOptions = calendarOptionsFromBody(req, res);
+        if (!calendarOptions) return;
+
+        console.log(`Streaming extraction from batch of ${files.length} file(s)...`);
+        await streamExtraction(req, res, calendarOptions,
+            context => pipeline.extractMany(files.map(uploadToInput), context));
+    });
+
+    /**
+     * POST /api/extract/term
+     * Read the term dates and blackout days from an academic calendar (text or uploaded file),
+     * so the client can save the term and send it with later conversions
+     */
+    app.post('/api/extract/term', requireAccess, requireConverter, upload.single('file'), async (req, res) => {
+        try {
+            const text = req.body.text;
+            if (!req.file && (!text || typeof text !== 'string')) {
+                return res.status(400).json({ error: 'Text input or a file is required' });
+            }
+
+            console.log('Extracting academic term...');
+            res.locals.usage.modelCalled();
+            const term = await pipeline.extractTerm(req.file ? uploadToInput(req.file) : { text });
+
+            res.json({ term });
+        } catch (error) {
+            console.error('Error extracting term:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/generate
+     * Build a calendar file from a (possibly edited) list of events,
+     * or a zip of per-course files with output=zip
+     */
+    app.post('/api/generate', requireConverter, async (req, res) => {
+        if (!Array.isArray(req.body.events)) {
+            return res.status(400).json({ error: 'An events array is required' });
+        }
+
+        const calendarOptions = calendarOptionsFromBody(req, res);
+        if (!calendarOptions || !addExistingCalendar(req, res, calendarOptions)) return;
+
+        // Edited events are user input, so invalid ones are a client error rather than skipped
+        const { events, warnings } = pipeline.normalize(req.body.events);
+        if (warnings.length > 0) {
+            return res.status(400).json({ error: 'Some events are invalid', warnings });
+        }
+
+        try {
+            if (req.body.output === 'zip') {
+                return sendZip(res, await pipeline.toZip(events, calendarOptions));
+            }
+            sendCalendar(res, pipeline.render({ events }, calendarOptions));
+        } catch (error) {
+            console.error('Error generating calendar:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * The new events of a request: an edited events array, or extracted from text or uploaded files
+     * (`files`, or a single `file`)
+     * @returns {Promise<object|undefined>} { events, warnings }, undefined when a 400 has been sent
+     */
+    const eventsFromRequest = async (req, res, calendarOptions) => {
+        if (req.body.events !== undefined) {
+            if (!Array.isArray(req.body.events)) {
+                res.status(400).json({ error: 'events must be an array' });
+                return undefined;
+            }
+            const { events, warnings } = pipeline.normalize(req.body.events);
+            if (warnings.length > 0) {
+                res.status(400).json({ error: 'Some events are invalid', warnings });
+                return undefined;
+            }
+            return { events, warnings };
+        }
+        const uploads = req.files || {};
+        const files = [...(uploads.file || []), ...(uploads.files || [])];
+        if (files.length === 1) {
+            return pipeline.extract(uploadToInput(files[0]), extractionContext(req, res, calendarOptions));
+        }
+        if (files.length > 1) {
+            return pipeline.extractMany(files.map(uploadToInput), extractionContext(req, res, calendarOptions));
+        }
+        if (req.body.text && typeof req.body.text === 'string') {
+            return pipeline.extract({ text: req.body.text }, extractionContext(req, res, calendarOptions));
+        }
+        res.status(400).json({ error: 'An events array, text input or files are required' });
+        return undefined;
+    };
+
+    /**
+     * The feed links for a saved calendar; webcal:// makes calendar apps offer to subscribe
+     */
+    const calendarLinks = (req, id) => {
+        const base = (options.publicUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+        const url = `${base}/api/calendars/${id}.ics`;
+        return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+    };
+
+    /**
+     * A saved calendar as returned by the API (without the token hash)
+     */
+    const calendarResponse = (req, calendar) => ({
+        id: calendar.id,
+        name: calendar.name,
+        ...calendarLinks(req, calendar.id),
+        createdAt: calendar.createdAt,
+        updatedAt: calendar.updatedAt,
+        options: calendar.options,
+        events: calendar.events
+    });
+
+    /**
+     * POST /api/calendars
+     * Save a calendar (from events, text or files) and return its subscription URLs
+     * and the token needed to update it
+     */
+    app.post('/api/calendars', requireAccess, requireConverter, upload.fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'files', maxCount: MAX_BATCH_FILES }
+    ]), async (req, res) => {
+        try {
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions) return;
+
+            const eventsData = await eventsFromRequest(req, res, calendarOptions);
+            if (!eventsData) return;
+
+            const { calendar, token } = await store.create({
+                name: req.body.name,
+                events: converter.assignUids(eventsData.events),
+                options: serializeCalendarOptions(calendarOptions)
+            });
+            console.log(`Saved calendar ${calendar.id} with ${calendar.events.length} event(s)`);
+
+            res.status(201).json({ ...calendarResponse(req, calendar), token, warnings: eventsData.warnings || [] });
+        } catch (error) {
+            console.error('Error saving calendar:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/calendars/:id.ics
+     * The subscription feed, rebuilt from the saved events on every request
+     */
+    app.get('/api/calendars/:id.ics', requireConverter, async (req, res) => {
+        try {
+            const calendar = await store.get(req.params.id);
+            if (!calendar) {
+                return res.status(404).json({ error: 'Calendar not found' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res, calendar.options);
+            if (!calendarOptions) return;
+
+            const rendered = pipeline.render({ events: calendar.events },
+                { ...calendarOptions, format: 'ics', name: calendar.name || 'Calendar Converter' });
+            res.setHeader('Content-Type', `${rendered.contentType}; charset=utf-8`);
+            res.setHeader('Content-Disposition', `inline; filename="${calendar.id}.ics"`);
+            res.setHeader('Cache-Control', 'no-cache');
+            res.send(rendered.content);
+        } catch (error) {
+            console.error('Error serving calendar feed:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/calendars/:id
+     * A saved calendar's events and options, for editing it in the preview
+     */
+    app.get('/api/calendars/:id', async (req, res) => {
+        try {
+            const calendar = await store.get(req.params.id);
+            if (!calendar) {
+                return res.status(404).json({ error: 'Calendar not found' });
+            }
+            res.json(calendarResponse(req, calendar));
+        } catch (error) {
+            console.error('Error reading calendar:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/calendars/:id
+     * Replace a saved calendar's events from new events, text or files. Options left out keep
+     * their saved values. Events that are still there keep their UID, with SEQUENCE raised when
+     * they changed, so subscribers see updates rather than duplicates.
+     */
+    app.put('/api/calendars/:id', requireAccess, requireConverter, upload.fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'files', maxCount: MAX_BATCH_FILES }
+    ]), async (req, res) => {
+        try {
+            const calendar = await store.get(req.params.id);
+            if (!calendar) {
+                return res.status(404).json({ error: 'Calendar not found' });
+            }
+            if (!store.verifyToken(calendar, calendarToken(req))) {
+                return res.status(403).json({ error: 'A valid calendar token is required' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res, calendar.options);
+            if (!calendarOptions) return;
+
+            const eventsData = await eventsFromRequest(req, res, calendarOptions);
+            if (!eventsData) return;
+
+            const updated = await store.update(calendar.id, {
+                name: req.body.name,
+                events: converter.assignUids(eventsData.events),
+                options: serializeCalendarOptions(calendarOptions)
+            });
+            console.log(`Updated calendar ${updated.id} with ${updated.events.length} event(s)`);
+
+            res.json({ ...calendarResponse(req, updated), warnings: eventsData.warnings || [] });
+        } catch (error) {
+            console.error('Error updating calendar:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/calendars/:id
+     * Remove a saved calendar; its feed URL stops working
+     */
+    app.delete('/api/calendars/:id', async (req, res) => {
+        try {
+            const calendar = await store.get(req.params.id);
+            if (!calendar) {
+                return res.status(404).json({ error: 'Calendar not found' });
+            }
+            if (!store.verifyToken(calendar, calendarToken(req))) {
+                return res.status(403).json({ error: 'A valid calendar token is required' });
+            }
+
+            await store.delete(calendar.id);
+            res.status(204).end();
+        } catch (error) {
+            console.error('Error deleting calendar:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/conflicts
+     * Check a (possibly edited) list of events for overlaps, with each other and with an optional
+     * `existing` calendar (ICS text). Conflicts never block exporting.
+     */
+    app.post('/api/conflicts', requireConverter, (req, res) => {
+        if (!Array.isArray(req.body.events)) {
+            return res.status(400).json({ error: 'An events array is required' });
+        }
+        if (req.body.existing && !isCalendarText(req.body.existing)) {
+            return res.status(400).json({ error: 'existing must be an ICS calendar' });
+        }
+
+        const calendarOptions = calendarOptionsFromBody(req, res);
+        if (!calendarOptions) return;
+
+        const { events, warnings } = pipeline.normalize(req.body.events);
+        if (warnings.length > 0) {
+            return res.status(400).json({ error: 'Some events are invalid', warnings });
+        }
+
+        res.json({ conflicts: pipeline.findConflicts(events, calendarOptions, req.body.existing || null) });
+    });
+
+    /**
+     * POST /api/import
+     * Read a calendar generated earlier (an uploaded `file`, or ICS text as `ics`) back into events,
+     * e.g. to edit it again in the preview
+     */
+    app.post('/api/import', requireConverter, upload.single('file'), (req, res) => {
+        const icsText = req.file ? req.file.buffer.toString('utf-8') : req.body.ics;
+        if (!isCalendarText(icsText)) {
+            return res.status(400).json({ error: 'An ICS calendar file is required' });
+        }
+        res.json(pipeline.importICS(icsText));
+    });
+
+    /**
+     * POST /api/diff
+     * Compare a calendar generated earlier (`existing`: an uploaded .ics or the ICS text) with new
+     * input (events, text or files) and list the added, removed, moved and changed events.
+     * With output=calendar, returns an update calendar instead: new, moved and changed events
+     * (under their old UIDs) and STATUS:CANCELLED for removed ones.
+     */
+    app.post('/api/diff', requireAccess, requireConverter, upload.fields([
+        { name: 'existing', maxCount: 1 },
+        { name: 'file', maxCount: 1 },
+        { name: 'files', maxCount: MAX_BATCH_FILES }
+    ]), async (req, res) => {
+        try {
+            const existing = existingCalendarText(req);
+            if (!isCalendarText(existing)) {
+                return res.status(400).json({ error: 'existing must be an ICS calendar' });
+            }
+
+            const calendarOptions = calendarOptionsFromBody(req, res);
+            if (!calendarOptions) return;
+
+            const eventsData = await eventsFromRequest(req, res, calendarOptions);
+            if (!eventsData) return;
+
+            console.log('Comparing with the existing calendar...');
+            const diff = pipeline.diff(existing, eventsData.events);
+
+            if (req.body.output === 'calendar') {
+                return sendCalendar(res, pipeline.render({ events: pipeline.updateEvents(diff) }, calendarOptions),
+                    eventsData.warnings);
+            }
+            res.json({
+                ...diff,
+                unchanged: diff.unchanged.length,
+                events: eventsData.events,
+                warnings: [...eventsData.warnings || [], ...diff.warnings]
+            });
+        } catch (error) {
+            console.error('Error comparing calendars:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * A job as returned by the API, with the extraction result once it has succeeded
+     */
+    const jobResponse = job => ({
+        ...jobs.describe(job),
+        statusUrl: `/api/jobs/${job.id}`,
+        resultUrl: `/api/jobs/${job.id}/result.ics`,
+        ...(job.status === 'succeeded' ? { result: job.result } : {})
+    });
+
+    /**
+     * POST /api/jobs
+     * Queue a conversion of text, a file or several files (same fields as the convert routes) and
+     * answer 202 with the job id at once; poll GET /api/jobs/:id and fetch the ICS from
+     * GET /api/jobs/:id/result.ics when it has succeeded
+     */
+    app.post('/api/jobs', requireAccess, requireConverter, upload.fields([
+        { name: 'file', maxCount: 1 },
+        { name: 'files', maxCount: MAX_BATCH_FILES },
+        { name: 'existing', maxCount: 1 }
+    ]), (req, res) => {
+        const uploads = req.files || {};
+        const files = [...(uploads.file || []), ...(uploads.files || [])].map(uploadToInput);
+        const { text } = req.body;
+        if (files.length === 0 && (!text || typeof text !== 'string')) {
+            return res.status(400).json({ error: 'Text input or a file is required' });
+        }
+
+        // Job results are always served as ICS
+        const calendarOptions = calendarOptionsFromBody(req, res);
+        if (!calendarOptions) return;
+        calendarOptions.format = 'ics';
+        if (!addExistingCalendar(req, res, calendarOptions)) return;
+        const cache = cacheAllowed(req);
+
+        // The job keeps the request's rate limit and quota slot while it waits in the queue, and
+        // gives it back if it fails or never calls the model
+        const usage = res.locals.usage;
+        usage.hold();
+        const job = jobs.add(async ({ onProgress }) => {
+            const context = { ...calendarOptions, cache, onProgress: countModelUse(res, onProgress) };
+            const eventsData = files.length > 1
+                ? await pipeline.extractMany(files, context)
+                : await pipeline.extract(files[0] || { text }, context);
+            return {
+                ...eventsData,
+                warnings: eventsData.warnings || [],
+                conflicts: pipeline.findConflicts(eventsData.events, calendarOptions, calendarOptions.existing || null)
+            };
+        }, { calendarOptions }, finished => {
+            if (finished.status === 'succeeded') {
+                usage.settle();
+            } else {
+                usage.release();
+            }
+        });
+        console.log(`Queued job ${job.id}`);
+
+        res.status(202).location(`/api/jobs/${job.id}`).json(jobResponse(job));
+    });
+
+    /**
+     * GET /api/jobs/:id
+     * A job's status (queued, running, succeeded or failed), its current stage and, once it has
+     * succeeded, the extracted events. Finished jobs are kept for an hour.
+     */
+    app.get('/api/jobs/:id', (req, res) => {
+        const job = jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(jobResponse(job));
+    });
+
+    /**
+     * GET /api/jobs/:id/result.ics
+     * The calendar file of a job that has succeeded; 409 while it is still running or when it failed
+     */
+    app.get('/api/jobs/:id/result.ics', requireConverter, (req, res) => {
+        const job = jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (job.status !== 'succeeded') {
+            const error = job.status === 'failed' ? `Job failed: ${job.error}` : 'Job has not finished yet';
+            return res.status(409).json({ error, status: job.status });
+        }
+
+        try {
+            sendCalendar(res, pipeline.render(job.result, job.data.calendarOptions), job.result.warnings);
+        } catch (error) {
+            console.error('Error rendering job result:', error);
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/usage
+     * The caller's rate limit and today's usage of the daily quota (by X-API-Key, or by IP without one)
+     */
+    app.get('/api/usage', (req, res) => {
+        const { identity, error } = access.authenticate(req);
+        if (error) {
+            return res.status(401).json({ error, code: 'unauthorized' });
+        }
+        res.json(access.describe(identity));
+    });
+
+    /**
+     * GET /api/health
+     * Health check endpoint
+     */
+    app.get('/api/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            message: 'Calendar Converter API is running',
+            provider: converter ? converter.provider.name : options.providerName || null,
+            converterInitialized: !!converter
+        });
+    });
+
+    // Unknown API routes get JSON rather than the frontend page
+    app.use('/api', (req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+
+    // Serve frontend
+    app.get('*', (req, res) => {
+        res.sendFile(path.join(FRONTEND_DIR, 'index.html'));
+    });
+
+    // Error handling middleware (upload limits, malformed JSON, unexpected errors)
+    app.use((err, req, res, next) => {
+        if (res.headersSent) {
+            return next(err);
+        }
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({ error: err.message, code: 'invalid_input' });
+        }
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_input' });
+        }
+        console.error('Unhandled error:', err);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: process.env.NODE_ENV === 'development' ? err.message : 'An error occurred'
+        });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
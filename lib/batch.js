@@ -0,0 +1,88 @@
+/**
+ * Helpers for converting several files (e.g. one syllabus per course) into one calendar
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+
+const MAX_BATCH_FILES = 10;
+
+/**
+ * Use the file name without extension as the event source (usually the course)
+ */
+function sourceNameFromFile(filename) {
+    return path.basename(filename, path.extname(filename));
+}
+
+function eventKey(event) {
+    const title = String(event.title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return [title, event.start_time || '', event.end_time || ''].join('|');
+}
+
+/**
+ * Tag every event with its source and merge all sets, dropping duplicates
+ * (same title and times, e.g. a holiday listed in every syllabus)
+ * @param {Array<{source: string, events: object[], warnings: object[]}>} results
+ * @returns {{events: object[], warnings: object[], duplicates: number}}
+ */
+function mergeEventSets(results) {
+    const seen = new Set();
+    const events = [];
+    const warnings = [];
+    let duplicates = 0;
+
+    for (const { source, events: sourceEvents, warnings: sourceWarnings } of results) {
+        for (const warning of sourceWarnings || []) {
+            warnings.push({ ...warning, source });
+        }
+        for (const event of sourceEvents || []) {
+            const tagged = { ...event, source: event.source || source };
+            const key = eventKey(tagged);
+            if (seen.has(key)) {
+                duplicates++;
+                continue;
+            }
+            seen.add(key);
+            events.push(tagged);
+        }
+    }
+
+    return { events, warnings, duplicates };
+}
+
+/**
+ * Build a zip with one calendar file per event source
+ * @param {function(object[]): {content: string, extension: string}} render - renders one source's events
+ */
+async function buildCalendarZip(events, render) {
+    const groups = new Map();
+    for (const event of events) {
+        const source = event.source || 'calendar';
+        if (!groups.has(source)) {
+            groups.set(source, []);
+        }
+        groups.get(source).push(event);
+    }
+
+    const zip = new JSZip();
+    const usedNames = new Set();
+    for (const [source, group] of groups) {
+        const baseName = source.replace(/[^\w.-]+/g, '_') || 'calendar';
+        const { content, extension } = render(group);
+        let fileName = `${baseName}.${extension}`;
+        for (let i = 2; usedNames.has(fileName); i++) {
+            fileName = `${baseName}-${i}.${extension}`;
+        }
+        usedNames.add(fileName);
+        zip.file(fileName, content);
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+module.exports = {
+    MAX_BATCH_FILES,
+    sourceNameFromFile,
+    mergeEventSets,
+    buildCalendarZip
+};
@@ -0,0 +1,137 @@
+/**
+ * Cache for extraction results, so converting the same syllabus again (e.g. with other reminders
+ * or another output format) does not call the model again. Entries are kept in memory, least
+ * recently used first out, and also written to a directory when one is given, so they outlive
+ * the process (the CLI) and are shared between server instances using the same disk. The directory
+ * is held to the same number of entries, dropping the files used longest ago.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 100;
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+class ExtractionCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries] - entries kept in memory, and on disk (default 100)
+     * @param {string} [options.dir] - directory for the on-disk store; memory only when left out
+     */
+    constructor(options = {}) {
+        const maxEntries = parseInt(options.maxEntries);
+        this.maxEntries = Number.isNaN(maxEntries) || maxEntries < 1 ? DEFAULT_MAX_ENTRIES : maxEntries;
+        this.dir = options.dir || null;
+        // Values are kept as JSON, so callers can't change a cached result through the object they got
+        this.entries = new Map();
+        this.pruning = null;
+    }
+
+    filePath(key) {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid cache key "${key}"`);
+        }
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    remember(key, json) {
+        // A Map keeps insertion order: re-inserting moves the key to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, json);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * The cached value for a key (a sha256 hex digest), or null
+     */
+    async get(key) {
+        let json = this.entries.get(key);
+        if (json === undefined && this.dir) {
+            try {
+                json = await fs.promises.readFile(this.filePath(key), 'utf-8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.warn(`Could not read cache entry ${key}:`, error.message);
+                }
+                return null;
+            }
+        }
+        if (json === undefined) {
+            return null;
+        }
+        this.remember(key, json);
+        if (this.dir) {
+            // The file's modification time is its last use, which prune goes by
+            const now = new Date();
+            fs.promises.utimes(this.filePath(key), now, now).catch(() => {});
+        }
+        return JSON.parse(json);
+    }
+
+    /**
+     * Cache a JSON-serializable value. Disk write failures are logged, not thrown: the cache
+     * only saves model calls.
+     */
+    async set(key, value) {
+        const json = JSON.stringify(value);
+        this.remember(key, json);
+        if (!this.dir) {
+            return;
+        }
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            const file = this.filePath(key);
+            const tmp = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, json, 'utf-8');
+            await fs.promises.rename(tmp, file);
+        } catch (error) {
+            console.warn(`Could not write cache entry ${key}:`, error.message);
+            return;
+        }
+        await this.prune();
+    }
+
+    /**
+     * Delete the entries used longest ago from the directory until maxEntries are left.
+     * Runs after every write; a write while it runs does not start another one.
+     */
+    prune() {
+        if (!this.pruning) {
+            this.pruning = this.pruneDir().finally(() => {
+                this.pruning = null;
+            });
+        }
+        return this.pruning;
+    }
+
+    async pruneDir() {
+        try {
+            const names = (await fs.promises.readdir(this.dir))
+                .filter(name => KEY_PATTERN.test(path.basename(name, '.json')) && name.endsWith('.json'));
+            if (names.length <= this.maxEntries) {
+                return;
+            }
+            const files = [];
+            for (const name of names) {
+                const file = path.join(this.dir, name);
+                try {
+                    files.push({ file, used: (await fs.promises.stat(file)).mtimeMs });
+                } catch (error) {
+                    // Removed meanwhile, e.g. by another instance sharing the directory
+                }
+            }
+            files.sort((a, b) => a.used - b.used);
+            for (const { file } of files.slice(0, files.length - this.maxEntries)) {
+                await fs.promises.unlink(file).catch(() => {});
+            }
+        } catch (error) {
+            console.warn(`Could not prune the cache directory ${this.dir}:`, error.message);
+        }
+    }
+}
+
+module.exports = {
+    ExtractionCache
+};
@@ -0,0 +1,190 @@
+/**
+ * Saved calendars behind the subscription feeds (GET /api/calendars/:id.ics): one JSON file
+ * per calendar. Every event keeps a stable UID, and its SEQUENCE goes up when it changes,
+ * so subscribed calendar apps update events in place instead of adding duplicates.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'calendars');
+const ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// The event fields that make up its content; a change to any of them is a new SEQUENCE
+const CONTENT_FIELDS = ['title', 'type', 'start_time', 'end_time', 'all_day', 'timezone', 'location',
+    'description', 'recurrence', 'attendees', 'source'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Events are matched across updates by title, type and source: times are what corrections usually change
+ */
+function matchKey(eventData) {
+    const title = String(eventData.title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return `${title}|${eventData.type || ''}|${eventData.source || ''}`;
+}
+
+function eventContent(eventData) {
+    return JSON.stringify(CONTENT_FIELDS.map(field => (eventData[field] === undefined ? null : eventData[field])));
+}
+
+/**
+ * Give new events the UID of the stored event they replace (by uid when the client sent it back,
+ * otherwise by title, type and source), raising SEQUENCE for those whose content changed.
+ * Unmatched events keep the uid they came with, or get a fresh one.
+ * @param {object[]} previous - stored events, with uid and sequence
+ * @param {object[]} next - the calendar's new events
+ * @param {boolean} changedAll - the calendar options changed (e.g. reminders), so every event did
+ */
+function assignEventIdentities(previous, next, changedAll = false) {
+    const byUid = new Map(previous.map(eventData => [eventData.uid, eventData]));
+    const used = new Set();
+    const matches = next.map(eventData => {
+        const match = eventData.uid && byUid.get(eventData.uid);
+        if (match && !used.has(match.uid)) {
+            used.add(match.uid);
+            return match;
+        }
+        return null;
+    });
+
+    // Repeated titles (e.g. several "Quiz" events) prefer a stored event with the same content
+    next.forEach((eventData, index) => {
+        if (matches[index]) return;
+        const candidates = previous.filter(stored => !used.has(stored.uid) && matchKey(stored) === matchKey(eventData));
+        const match = candidates.find(stored => eventContent(stored) === eventContent(eventData)) || candidates[0];
+        if (match) {
+            used.add(match.uid);
+            matches[index] = match;
+        }
+    });
+
+    return next.map((eventData, index) => {
+        const match = matches[index];
+        if (!match) {
+            return { ...eventData, uid: eventData.uid || `${crypto.randomUUID()}@calendar-converter`, sequence: 0 };
+        }
+        const changed = changedAll || eventContent(match) !== eventContent(eventData);
+        return { ...eventData, uid: match.uid, sequence: (match.sequence || 0) + (changed ? 1 : 0) };
+    });
+}
+
+class CalendarStore {
+    /**
+     * @param {string} [dir] - directory for the calendar files, created on first write
+     */
+    constructor(dir) {
+        this.dir = dir || DEFAULT_STORE_DIR;
+    }
+
+    filePath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    /**
+     * Write a calendar atomically, so a feed request never reads a half-written file
+     */
+    async write(calendar) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const tempPath = `${this.filePath(calendar.id)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(calendar, null, 2), 'utf-8');
+        await fs.promises.rename(tempPath, this.filePath(calendar.id));
+    }
+
+    /**
+     * @returns {Promise<object|null>} the stored calendar, or null when there is none with this id
+     */
+    async get(id) {
+        if (!ID_PATTERN.test(String(id))) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(id), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Save a new calendar
+     * @param {object} calendar - { name, events, options (serialized export options) }
+     * @returns {Promise<{calendar: object, token: string}>} the token is needed to update or delete it
+     *   and is only stored hashed
+     */
+    async create({ name, events, options }) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = new Date().toISOString();
+        const calendar = {
+            id: crypto.randomBytes(12).toString('base64url'),
+            name: name || null,
+            tokenHash: hashToken(token),
+            createdAt: now,
+            updatedAt: now,
+            options: options || {},
+            events: assignEventIdentities([], events || [])
+        };
+        await this.write(calendar);
+        return { calendar, token };
+    }
+
+    /**
+     * Replace a calendar's events (and options), keeping the UIDs of events that are still there
+     * @returns {Promise<object|null>} the updated calendar, or null when it does not exist
+     */
+    async update(id, { name, events, options }) {
+        const calendar = await this.get(id);
+        if (!calendar) {
+            return null;
+        }
+        const nextOptions = options || calendar.options;
+        const optionsChanged = JSON.stringify(nextOptions) !== JSON.stringify(calendar.options);
+        const updated = {
+            ...calendar,
+            name: name === undefined ? calendar.name : name,
+            updatedAt: new Date().toISOString(),
+            options: nextOptions,
+            events: assignEventIdentities(calendar.events, events || [], optionsChanged)
+        };
+        await this.write(updated);
+        return updated;
+    }
+
+    /**
+     * @returns {Promise<boolean>} false when the calendar did not exist
+     */
+    async delete(id) {
+        if (!ID_PATTERN.test(String(id))) {
+            return false;
+        }
+        try {
+            await fs.promises.unlink(this.filePath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check an update token against the stored hash
+     */
+    verifyToken(calendar, token) {
+        if (!token || !calendar.tokenHash) {
+            return false;
+        }
+        return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(calendar.tokenHash));
+    }
+}
+
+module.exports = {
+    CalendarStore,
+    assignEventIdentities
+};
@@ -0,0 +1,136 @@
+/**
+ * Per-field confidence and source spans for extracted events, so users know which events to
+ * double-check. The model reports its own confidence and the snippet (or image region) each
+ * event came from; the checks here catch guesses the model tends to be confident about anyway,
+ * like the 9:00 AM default time or a year that appears nowhere in the input.
+ */
+
+// Fields the model scores, and the score below which a field is flagged for review
+const CONFIDENCE_FIELDS = ['title', 'type', 'start_time', 'end_time', 'location', 'recurrence'];
+const REVIEW_THRESHOLD = 0.6;
+
+/**
+ * The schema and instructions added to the extraction prompt
+ */
+const CONFIDENCE_PROMPT = `Also give each event:
+- "confidence": { "title", "type", "start_time", "end_time", "location", "recurrence" } scores from 0 to 1 for how sure you are of each field you filled in. Use low scores for anything you guessed: a default time, an inferred year or date, an assumed end time or location
+- "source_text": the exact text the event came from, copied word for word from the content (text content only)
+- "source_region": for images, where the event appears, as { "page": 1, "x", "y", "width", "height" } fractions of the image size (0 to 1, from the top left)`;
+
+function normalizeSpace(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Keep numeric scores between 0 and 1 for known fields (models sometimes answer in percent)
+ */
+function cleanConfidence(confidence) {
+    const cleaned = {};
+    if (!confidence || typeof confidence !== 'object') {
+        return cleaned;
+    }
+    for (const field of CONFIDENCE_FIELDS) {
+        let score = Number(confidence[field]);
+        if (confidence[field] === undefined || confidence[field] === null || Number.isNaN(score)) {
+            continue;
+        }
+        if (score > 1 && score <= 100) {
+            score /= 100;
+        }
+        cleaned[field] = Math.min(Math.max(score, 0), 1);
+    }
+    return cleaned;
+}
+
+/**
+ * An image region as fractions of the page/image size; anything else is dropped
+ */
+function cleanRegion(region) {
+    if (!region || typeof region !== 'object') {
+        return null;
+    }
+    const box = {};
+    for (const key of ['x', 'y', 'width', 'height']) {
+        const value = Number(region[key]);
+        if (Number.isNaN(value) || value < 0 || value > 1) {
+            return null;
+        }
+        box[key] = value;
+    }
+    const page = parseInt(region.page);
+    return page > 0 ? { page, ...box } : box;
+}
+
+function hasTimeOfDay(text) {
+    return /\b\d{1,2}(:\d{2})?\s*(a\.?m\.?|p\.?m\.?)|\b\d{1,2}:\d{2}\b|\bnoon\b|\bmidnight\b/i.test(text);
+}
+
+/**
+ * Add confidence, source_text/source_region and review reasons to one event
+ */
+function annotateEvent(eventData, content, isImage, converter) {
+    const event = { ...eventData };
+    const confidence = cleanConfidence(eventData.confidence);
+    const review = [];
+    const flag = (field, reason, cap) => {
+        review.push({ field, reason });
+        confidence[field] = Math.min(confidence[field] === undefined ? 1 : confidence[field], cap);
+    };
+
+    // A snippet that isn't in the input was made up, and would only mislead
+    let snippet = null;
+    if (!isImage && typeof eventData.source_text === 'string' && eventData.source_text.trim()) {
+        if (normalizeSpace(content).includes(normalizeSpace(eventData.source_text))) {
+            snippet = eventData.source_text.trim();
+        }
+    }
+    delete event.source_text;
+    delete event.source_region;
+    if (snippet) {
+        event.source_text = snippet;
+    }
+    const region = isImage ? cleanRegion(eventData.source_region) : null;
+    if (region) {
+        event.source_region = region;
+    }
+
+    if (!isImage) {
+        const start = converter.parseDateTime(String(eventData.start_time));
+        if (!converter.isAllDay(eventData) && start.getHours() === 9 && start.getMinutes() === 0 &&
+            snippet && !hasTimeOfDay(snippet)) {
+            flag('start_time', 'No time was given; 9:00 AM is a default', 0.4);
+        }
+        const year = String(start.getFullYear());
+        // Two-digit years count as given too, as in 9/4/24 or Fall '24
+        if (!String(content).includes(year) && !new RegExp(`[/.'-]${year.slice(2)}\\b`).test(content)) {
+            flag('start_time', `The year ${year} was inferred`, 0.5);
+        }
+    }
+
+    for (const [field, score] of Object.entries(confidence)) {
+        if (score < REVIEW_THRESHOLD && !review.some(item => item.field === field)) {
+            review.push({ field, reason: 'The model was not sure about this' });
+        }
+    }
+
+    event.confidence = confidence;
+    if (review.length) {
+        event.review = review;
+    }
+    return event;
+}
+
+/**
+ * Annotate extracted events (see annotateEvent)
+ * @param {string|object} content - the text sent to the model, or image parts
+ */
+function annotateEvents(events, content, isImage, converter) {
+    return events.map(eventData => annotateEvent(eventData, content, isImage, converter));
+}
+
+module.exports = {
+    CONFIDENCE_FIELDS,
+    REVIEW_THRESHOLD,
+    CONFIDENCE_PROMPT,
+    annotateEvents
+};
@@ -0,0 +1,104 @@
+/**
+ * Find events that overlap in time, e.g. two labs from different course schedules at the same hour.
+ * Series are expanded so a clash on any occurrence is found. All-day events and deadlines are
+ * left out: a holiday or a due date next to a class is not a clash.
+ */
+
+const { expandOccurrences } = require('./occurrences');
+const { isDeadline } = require('./todos');
+const { zonedTimeToUtc } = require('./timezone');
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatDateTime(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * An instant for a wall-clock time: in the event's time zone when it has one, otherwise the
+ * wall clock itself, so floating events still compare with each other
+ */
+function toInstant(date, timeZone) {
+    return timeZone
+        ? zonedTimeToUtc(date.getFullYear(), date.getMonth() + 1, date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds(), timeZone)
+        : Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+}
+
+/**
+ * Occurrences of every timed event as instants, tagged with the event they belong to
+ */
+function collectIntervals(converter, events, timeZone, existing) {
+    const intervals = [];
+    events.forEach((eventData, index) => {
+        if (converter.isAllDay(eventData) || isDeadline(eventData)) {
+            return;
+        }
+        const eventTimeZone = converter.resolveEventTimeZone(eventData, timeZone);
+        const { occurrences } = expandOccurrences(converter, eventData, eventTimeZone);
+        for (const { start, end } of occurrences) {
+            intervals.push({
+                ref: existing ? { index, title: eventData.title, existing: true } : { index, title: eventData.title },
+                start: toInstant(start, eventTimeZone),
+                end: toInstant(end, eventTimeZone),
+                wallStart: start,
+                wallEnd: end
+            });
+        }
+    });
+    return intervals;
+}
+
+/**
+ * List the pairs of events that overlap
+ * @param {object[]} events - the events being exported
+ * @param {object} [options] - { timezone: default zone for events without their own,
+ *   existing: events already in the user's calendar (e.g. from an uploaded .ics), checked against the new ones only }
+ * @returns {Array<{events: Array<{index: number, title: string, existing?: boolean}>,
+ *   start: string, end: string, occurrences: number}>} start and end are the first overlap,
+ *   occurrences counts the overlapping occurrences of two series
+ */
+function findConflicts(converter, events, options = {}) {
+    const intervals = collectIntervals(converter, events || [], options.timezone, false)
+        .concat(collectIntervals(converter, options.existing || [], options.timezone, true))
+        .sort((a, b) => a.start - b.start);
+
+    const conflicts = new Map();
+    const active = [];
+    for (const interval of intervals) {
+        // Intervals that ended before this one starts can't overlap it or anything after it
+        for (let i = active.length - 1; i >= 0; i--) {
+            if (active[i].end <= interval.start) {
+                active.splice(i, 1);
+            }
+        }
+        for (const other of active) {
+            if (other.ref.existing && interval.ref.existing) continue;
+            if (!other.ref.existing && !interval.ref.existing && other.ref.index === interval.ref.index) continue;
+
+            const [first, second] = other.ref.existing ? [interval, other] : [other, interval];
+            const key = `${first.ref.index}|${second.ref.existing ? 'existing' : ''}${second.ref.index}`;
+            if (conflicts.has(key)) {
+                conflicts.get(key).occurrences++;
+            } else {
+                conflicts.set(key, {
+                    events: [first.ref, second.ref],
+                    start: formatDateTime(interval.wallStart),
+                    end: formatDateTime(interval.end < other.end ? interval.wallEnd : other.wallEnd),
+                    occurrences: 1
+                });
+            }
+        }
+        active.push(interval);
+    }
+
+    return [...conflicts.values()];
+}
+
+module.exports = {
+    findConflicts
+};
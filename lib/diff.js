@@ -0,0 +1,123 @@
+/**
+ * Compare a previously generated calendar (read back with parseICSEvents) with a new conversion,
+ * e.g. after a professor posts an updated schedule, and build an update calendar from the result
+ */
+
+// Fields compared besides the times; a difference makes the event "changed"
+const DETAIL_FIELDS = ['location', 'description', 'recurrence'];
+
+function normalizeTitle(title) {
+    return String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function normalizeDetail(value) {
+    if (value === undefined || value === null || value === '' || value === false) {
+        return null;
+    }
+    return typeof value === 'string' ? value.trim() : JSON.stringify(value);
+}
+
+/**
+ * Compare the times the calendar would show, so a default end or an all-day flag left out
+ * by one side does not count as a move
+ */
+function sameTimes(converter, before, after) {
+    const key = eventData => {
+        const { allDay, start, end } = converter.eventTimes(eventData, null);
+        return `${allDay}|${converter.formatLocal(start)}|${converter.formatLocal(end)}`;
+    };
+    return key(before) === key(after);
+}
+
+/**
+ * The detail fields (see DETAIL_FIELDS) that differ between two versions of an event
+ */
+function changedFields(before, after) {
+    return DETAIL_FIELDS.filter(field => normalizeDetail(before[field]) !== normalizeDetail(after[field]));
+}
+
+/**
+ * Pair each new event with the earlier event it replaces: the same UID first (content-derived
+ * UIDs match when the title, start, location and source are unchanged), then the same title,
+ * preferring the closest start time when a title repeats
+ * @param {object[]} previous - events from the earlier calendar
+ * @param {object[]} next - events from the new conversion
+ * @returns {{added: object[], removed: object[], moved: Array<{before, after}>,
+ *   changed: Array<{before, after, fields: string[]}>, unchanged: object[]}}
+ *   moved events have new times (and may have other changes too)
+ */
+function diffEvents(previous, next, converter) {
+    const withUids = converter.assignUids(next);
+    const used = new Set();
+    const pairs = new Array(next.length).fill(null);
+
+    withUids.forEach((eventData, index) => {
+        const match = previous.findIndex((before, i) => !used.has(i) && before.uid && before.uid === eventData.uid);
+        if (match !== -1) {
+            used.add(match);
+            pairs[index] = match;
+        }
+    });
+
+    withUids.forEach((eventData, index) => {
+        if (pairs[index] !== null) return;
+        const start = converter.parseDateTime(String(eventData.start_time)).getTime();
+        let best = -1;
+        let bestDistance = Infinity;
+        previous.forEach((before, i) => {
+            if (used.has(i) || normalizeTitle(before.title) !== normalizeTitle(eventData.title)) return;
+            const distance = Math.abs(converter.parseDateTime(String(before.start_time)).getTime() - start);
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        if (best !== -1) {
+            used.add(best);
+            pairs[index] = best;
+        }
+    });
+
+    const result = { added: [], removed: [], moved: [], changed: [], unchanged: [] };
+    withUids.forEach((eventData, index) => {
+        if (pairs[index] === null) {
+            result.added.push(eventData);
+            return;
+        }
+        const before = previous[pairs[index]];
+        const fields = changedFields(before, eventData);
+        if (!sameTimes(converter, before, eventData)) {
+            result.moved.push({ before, after: eventData, fields });
+        } else if (fields.length) {
+            result.changed.push({ before, after: eventData, fields });
+        } else {
+            result.unchanged.push(eventData);
+        }
+    });
+    result.removed = previous.filter((before, i) => !used.has(i));
+
+    return result;
+}
+
+/**
+ * Events for an update calendar: new events, moved and changed events under their old UID with a
+ * higher SEQUENCE (so calendar apps replace them), and removed events marked cancelled
+ */
+function updateEvents(diff) {
+    const replace = ({ before, after }) => ({
+        ...after,
+        uid: before.uid || after.uid,
+        sequence: (before.sequence || 0) + 1
+    });
+    return [
+        ...diff.added,
+        ...diff.moved.map(replace),
+        ...diff.changed.map(replace),
+        ...diff.removed.map(before => ({ ...before, status: 'CANCELLED', sequence: (before.sequence || 0) + 1 }))
+    ];
+}
+
+module.exports = {
+    diffEvents,
+    updateEvents
+};
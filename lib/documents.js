@@ -0,0 +1,120 @@
+/**
+ * Turn uploaded files (text, images, PDF, DOCX) into content for extractCalendarInfo
+ */
+
+const path = require('path');
+const mammoth = require('mammoth');
+const { ConversionError } = require('./errors');
+
+const IMAGE_MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.webp': 'image/webp'
+};
+
+// A PDF with less text than this per page is treated as scanned
+const MIN_TEXT_PER_PAGE = 20;
+// Cap on rendered pages sent to the model for scanned PDFs
+const MAX_SCANNED_PAGES = 10;
+
+function getExtension(filename) {
+    return path.extname(filename).toLowerCase();
+}
+
+/**
+ * Get MIME type from file extension
+ */
+function getMimeType(filename) {
+    return IMAGE_MIME_TYPES[getExtension(filename)] || 'image/jpeg';
+}
+
+/**
+ * Check if file is an image
+ */
+function isImageFile(filename) {
+    return Object.prototype.hasOwnProperty.call(IMAGE_MIME_TYPES, getExtension(filename));
+}
+
+/**
+ * Convert buffer to an inline image part for the provider
+ */
+function bufferToImagePart(buffer, mimeType) {
+    return {
+        inlineData: {
+            data: buffer.toString('base64'),
+            mimeType: mimeType
+        }
+    };
+}
+
+/**
+ * Extract text from a PDF, falling back to rendered page images for scanned documents
+ */
+async function loadPdf(buffer) {
+    // Loaded here, as pdf-parse needs a newer Node than the rest of the app (see package.json engines)
+    const { PDFParse } = require('pdf-parse');
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+        const result = await parser.getText();
+        const text = result.text.trim();
+        const pages = result.total || 1;
+
+        if (text.replace(/\s+/g, '').length >= MIN_TEXT_PER_PAGE * pages) {
+            return { content: text, isImage: false };
+        }
+
+        console.log('PDF has little or no text, sending rendered pages as images');
+        const screenshots = await parser.getScreenshot({
+            first: MAX_SCANNED_PAGES,
+            desiredWidth: 1600,
+            imageDataUrl: false
+        });
+        const parts = screenshots.pages.map(page => bufferToImagePart(Buffer.from(page.data), 'image/png'));
+        return { content: parts, isImage: true };
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/**
+ * Extract the raw text of a DOCX document
+ */
+async function loadDocx(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return { content: result.value.trim(), isImage: false };
+}
+
+/**
+ * Load a file into { content, isImage } ready for extractCalendarInfo.
+ * Image content is a single inline part or an array of parts (scanned PDF pages).
+ * @throws {ConversionError} invalid_input when a PDF or DOCX cannot be read
+ */
+async function loadDocument(buffer, filename) {
+    const ext = getExtension(filename);
+
+    if (isImageFile(filename)) {
+        return { content: bufferToImagePart(buffer, getMimeType(filename)), isImage: true };
+    }
+    try {
+        if (ext === '.pdf') {
+            return await loadPdf(buffer);
+        }
+        if (ext === '.docx') {
+            return await loadDocx(buffer);
+        }
+    } catch (error) {
+        throw new ConversionError('invalid_input', `Could not read ${path.basename(filename)}: ${error.message}`, { cause: error });
+    }
+    return { content: buffer.toString('utf-8'), isImage: false };
+}
+
+module.exports = {
+    IMAGE_MIME_TYPES,
+    getMimeType,
+    isImageFile,
+    bufferToImagePart,
+    loadDocument
+};
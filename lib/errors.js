@@ -0,0 +1,65 @@
+/**
+ * Errors with an API error code, so clients can tell a busy or unavailable model (worth trying
+ * again later) from input that will never convert. Anything else is answered as a plain 500.
+ */
+
+// HTTP status for each code
+const ERROR_STATUS = {
+    rate_limited: 429,
+    upstream_unavailable: 503,
+    invalid_input: 400
+};
+
+class ConversionError extends Error {
+    /**
+     * @param {string} code - rate_limited, upstream_unavailable or invalid_input
+     * @param {string} message
+     * @param {object} [options] - { retryAfter: seconds the provider asked us to wait, cause }
+     */
+    constructor(code, message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = 'ConversionError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+        this.retryAfter = options.retryAfter || null;
+        // Trying again can help with a busy or unavailable model, never with bad input
+        this.retryable = code !== 'invalid_input';
+    }
+}
+
+// Network failures that mean the provider could not be reached
+const NETWORK_ERROR = /fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN/i;
+
+/**
+ * Turn a provider error into a ConversionError by its HTTP status (see the providers, and
+ * the Gemini SDK's fetch errors), or null when it is none of the known kinds
+ */
+function classifyProviderError(error) {
+    if (error instanceof ConversionError) {
+        return error;
+    }
+    const status = error && error.status;
+    const message = error && error.message ? error.message : String(error);
+    const options = { retryAfter: error && error.retryAfter, cause: error };
+
+    if (status === 429) {
+        const wait = options.retryAfter ? ` (try again in ${Math.ceil(options.retryAfter)}s)` : '';
+        return new ConversionError('rate_limited', `The AI provider is rate limiting requests${wait}`, options);
+    }
+    if (status === 408 || status >= 500) {
+        return new ConversionError('upstream_unavailable', `The AI provider is unavailable (${status})`, options);
+    }
+    if (status === 400 || status === 413 || status === 415 || status === 422) {
+        return new ConversionError('invalid_input', `The AI provider rejected the input: ${message}`, options);
+    }
+    if (!status && (NETWORK_ERROR.test(message) || (error.cause && NETWORK_ERROR.test(String(error.cause.code))))) {
+        return new ConversionError('upstream_unavailable', 'The AI provider could not be reached', options);
+    }
+    return null;
+}
+
+module.exports = {
+    ERROR_STATUS,
+    ConversionError,
+    classifyProviderError
+};
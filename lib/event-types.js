@@ -0,0 +1,83 @@
+/**
+ * Event types extracted by the model, with the CATEGORIES label and color hint each one gets
+ */
+
+// Colors are CSS color names, as RFC 7986 COLOR expects
+const EVENT_TYPES = {
+    lecture: { label: 'Lecture', color: 'royalblue' },
+    lab: { label: 'Lab', color: 'teal' },
+    exam: { label: 'Exam', color: 'crimson' },
+    assignment: { label: 'Assignment', color: 'darkorange' },
+    office_hours: { label: 'Office Hours', color: 'seagreen' },
+    holiday: { label: 'Holiday', color: 'gray' },
+    meeting: { label: 'Meeting', color: 'slateblue' },
+    other: { label: 'Other', color: null }
+};
+
+// Other words models use for the same types
+const TYPE_ALIASES = {
+    class: 'lecture',
+    seminar: 'lecture',
+    discussion: 'lecture',
+    recitation: 'lecture',
+    tutorial: 'lecture',
+    test: 'exam',
+    quiz: 'exam',
+    midterm: 'exam',
+    final: 'exam',
+    homework: 'assignment',
+    project: 'assignment',
+    paper: 'assignment',
+    essay: 'assignment',
+    report: 'assignment',
+    problem_set: 'assignment',
+    deadline: 'assignment',
+    due: 'assignment',
+    office: 'office_hours',
+    break: 'holiday',
+    vacation: 'holiday'
+};
+
+function knownType(key) {
+    return EVENT_TYPES[key] ? key : TYPE_ALIASES[key] || null;
+}
+
+/**
+ * Map a model-provided type to one of EVENT_TYPES (unknown or missing types become "other").
+ * For several words the last known one wins, as it names the kind: "final project" is an
+ * assignment, "final exam" an exam and "lab session" a lab.
+ */
+function normalizeEventType(type) {
+    const key = String(type || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const words = key.split('_').reverse();
+    return knownType(key) || words.map(knownType).find(Boolean) || 'other';
+}
+
+/**
+ * Add a COLOR line to each VEVENT (the ics package has no color option), after its other
+ * properties and before its VALARMs, as RFC 5545 wants properties before subcomponents.
+ * `colors` is aligned with the VEVENTs in the calendar (null = no color).
+ */
+function applyEventColors(icsText, colors) {
+    if (!colors.some(Boolean)) {
+        return icsText;
+    }
+
+    const parts = icsText.split('END:VEVENT');
+    return parts
+        .map((part, index) => {
+            if (index >= colors.length || !colors[index]) {
+                return part;
+            }
+            const alarm = part.indexOf('BEGIN:VALARM', part.lastIndexOf('BEGIN:VEVENT'));
+            const at = alarm === -1 ? part.length : alarm;
+            return `${part.slice(0, at)}COLOR:${colors[index]}\r\n${part.slice(at)}`;
+        })
+        .join('END:VEVENT');
+}
+
+module.exports = {
+    EVENT_TYPES,
+    normalizeEventType,
+    applyEventColors
+};
@@ -0,0 +1,197 @@
+/**
+ * Export formats besides ICS: plain JSON events, CSV (generic, Google Calendar, Outlook) and jCal
+ */
+
+const { expandOccurrences } = require('./occurrences');
+const { icsToJCal } = require('./jcal');
+const { EVENT_TYPES, normalizeEventType } = require('./event-types');
+const { remindersForEvent } = require('./reminders');
+
+const FORMATS = {
+    ics: { contentType: 'text/calendar', extension: 'ics' },
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    'google-csv': { contentType: 'text/csv', extension: 'csv' },
+    'outlook-csv': { contentType: 'text/csv', extension: 'csv' },
+    jcal: { contentType: 'application/calendar+json', extension: 'jcal' }
+};
+
+const FORMAT_ALIASES = {
+    ical: 'ics',
+    google: 'google-csv',
+    outlook: 'outlook-csv',
+    jcs: 'jcal'
+};
+
+/**
+ * Check a format option, returning 'ics' when it is not set
+ */
+function resolveFormat(format) {
+    if (format === undefined || format === null || format === '') {
+        return 'ics';
+    }
+    const name = String(format).trim().toLowerCase();
+    const resolved = FORMAT_ALIASES[name] || name;
+    if (!FORMATS[resolved]) {
+        throw new Error(`Unsupported format "${format}". Use ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    return resolved;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function isoDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isoDateTime(date) {
+    return `${isoDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function usDate(date, padded) {
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+    return padded
+        ? `${pad(month)}/${pad(day)}/${date.getFullYear()}`
+        : `${month}/${day}/${date.getFullYear()}`;
+}
+
+function usTime(date, withSeconds) {
+    const hour = date.getHours() % 12 || 12;
+    const seconds = withSeconds ? `:${pad(date.getSeconds())}` : '';
+    return `${hour}:${pad(date.getMinutes())}${seconds} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * One row per occurrence: CSV imports have no recurrence support, so series are expanded.
+ * CSV has no tasks either, so deadlines are always rows (ending at their due time, see
+ * CalendarConverter#eventTimes), whatever the deadlines option says
+ */
+function occurrenceRows(converter, events, options, buildRow) {
+    const rows = [];
+    for (const eventData of events) {
+        const timeZone = converter.resolveEventTimeZone(eventData, options.timezone);
+        const { allDay, occurrences } = expandOccurrences(converter, eventData, timeZone);
+        for (const { start, end } of occurrences) {
+            // All-day ends are exclusive; CSV imports expect the last day
+            const last = allDay ? converter.addDays(end, -1) : end;
+            rows.push(buildRow(eventData, start, last, allDay));
+        }
+    }
+    return rows;
+}
+
+function typeLabel(eventData) {
+    return eventData.type ? EVENT_TYPES[normalizeEventType(eventData.type)].label : '';
+}
+
+function genericCSV(converter, events, options) {
+    const header = ['Title', 'Type', 'Start', 'End', 'All Day', 'Location', 'Description', 'Source'];
+    const rows = occurrenceRows(converter, events, options, (eventData, start, end, allDay) => [
+        eventData.title || 'Untitled Event',
+        typeLabel(eventData),
+        allDay ? isoDate(start) : isoDateTime(start),
+        allDay ? isoDate(end) : isoDateTime(end),
+        allDay ? 'true' : 'false',
+        eventData.location,
+        eventData.description,
+        eventData.source
+    ]);
+    return toCSV(header, rows);
+}
+
+/**
+ * Google Calendar import CSV (https://support.google.com/calendar/answer/37118)
+ */
+function googleCSV(converter, events, options) {
+    const header = ['Subject', 'Start Date', 'Start Time', 'End Date', 'End Time', 'All Day Event',
+        'Description', 'Location'];
+    const rows = occurrenceRows(converter, events, options, (eventData, start, end, allDay) => [
+        eventData.title || 'Untitled Event',
+        usDate(start, true),
+        allDay ? '' : usTime(start),
+        usDate(end, true),
+        allDay ? '' : usTime(end),
+        allDay ? 'True' : 'False',
+        eventData.description,
+        eventData.location
+    ]);
+    return toCSV(header, rows);
+}
+
+/**
+ * Outlook import CSV; Outlook supports a single reminder, so the one closest to the event is used
+ */
+function outlookCSV(converter, events, options) {
+    const header = ['Subject', 'Start Date', 'Start Time', 'End Date', 'End Time', 'All day event',
+        'Reminder on/off', 'Reminder Date', 'Reminder Time', 'Categories', 'Description', 'Location'];
+    const rows = occurrenceRows(converter, events, options, (eventData, start, end, allDay) => {
+        const reminders = remindersForEvent(eventData, options.reminders);
+        const reminder = reminders.length
+            ? new Date(start.getFullYear(), start.getMonth(), start.getDate(),
+                start.getHours(), start.getMinutes() - Math.min(...reminders))
+            : null;
+        return [
+            eventData.title || 'Untitled Event',
+            usDate(start, false),
+            allDay ? '' : usTime(start, true),
+            usDate(end, false),
+            allDay ? '' : usTime(end, true),
+            allDay ? 'True' : 'False',
+            reminder ? 'True' : 'False',
+            reminder ? usDate(reminder, false) : '',
+            reminder ? usTime(reminder, true) : '',
+            converter.eventCategories(eventData).join(';'),
+            eventData.description,
+            eventData.location
+        ];
+    });
+    return toCSV(header, rows);
+}
+
+/**
+ * Render events in the requested format
+ * @param {object} options - buildCalendar options plus format
+ * @returns {{content: string, contentType: string, extension: string}}
+ */
+function renderEvents(converter, events, options = {}) {
+    const format = resolveFormat(options.format);
+    let content;
+    switch (format) {
+        case 'json':
+            content = JSON.stringify({ events }, null, 2);
+            break;
+        case 'csv':
+            content = genericCSV(converter, events, options);
+            break;
+        case 'google-csv':
+            content = googleCSV(converter, events, options);
+            break;
+        case 'outlook-csv':
+            content = outlookCSV(converter, events, options);
+            break;
+        case 'jcal':
+            content = JSON.stringify(icsToJCal(converter.buildCalendar({ events }, options)));
+            break;
+        default:
+            content = converter.buildCalendar({ events }, options);
+    }
+    return { content, ...FORMATS[format] };
+}
+
+module.exports = {
+    FORMATS,
+    resolveFormat,
+    renderEvents
+};
@@ -0,0 +1,211 @@
+/**
+ * Read an ICS file back into the event model the extraction returns (title, start_time,
+ * end_time, all_day, recurrence, ...), so a calendar generated earlier can be compared
+ * with a new conversion or edited again
+ */
+
+const { parseCalendar } = require('./merge');
+const { parseContentLine, unescapeText } = require('./jcal');
+const { EVENT_TYPES } = require('./event-types');
+const { getOffsetMinutes } = require('./timezone');
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatDate(date) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value. Times in UTC are moved to the event's time zone when there
+ * is one, as UNTIL is written in UTC for zoned series.
+ * @returns {{date: Date, dateOnly: boolean}} wall-clock components in the UTC fields of date
+ */
+function parseValue(value, timeZone = null) {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        throw new Error(`Invalid date "${value}"`);
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    let millis = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0);
+    if (utc && timeZone && timeZone !== 'UTC') {
+        millis += getOffsetMinutes(timeZone, millis) * 60000;
+    }
+    return { date: new Date(millis), dateOnly: !hour };
+}
+
+function formatDateTime(date) {
+    return `${formatDate(date)} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+}
+
+/**
+ * Convert an RRULE value and EXDATEs into the extraction's recurrence object
+ */
+function parseRecurrence(rule, exclusions, timeZone) {
+    const parts = {};
+    for (const part of rule.split(';')) {
+        const [key, value] = part.split('=');
+        parts[key.toUpperCase()] = value;
+    }
+
+    const recurrence = { frequency: parts.FREQ };
+    if (parts.BYDAY) {
+        // Ordinal days like 1MO (first Monday) are kept as plain weekdays
+        recurrence.days = parts.BYDAY.split(',').map(day => day.replace(/^[+-]?\d+/, ''));
+    }
+    if (parseInt(parts.INTERVAL) > 1) {
+        recurrence.interval = parseInt(parts.INTERVAL);
+    }
+    if (parts.UNTIL) {
+        recurrence.until = formatDate(parseValue(parts.UNTIL, timeZone).date);
+    } else if (parts.COUNT) {
+        recurrence.count = parseInt(parts.COUNT);
+    }
+    if (exclusions.length) {
+        recurrence.exclude_dates = exclusions.map(value => formatDate(parseValue(value, timeZone).date));
+    }
+    return recurrence;
+}
+
+/**
+ * Type and source from CATEGORIES, as buildEvent writes them: the type label, then the source
+ */
+function parseCategories(categories) {
+    const result = {};
+    for (const category of categories) {
+        const type = Object.keys(EVENT_TYPES).find(key => EVENT_TYPES[key].label.toLowerCase() === category.toLowerCase());
+        if (type && !result.type) {
+            result.type = type;
+        } else if (!result.source) {
+            result.source = category;
+        }
+    }
+    return result;
+}
+
+/**
+ * Convert one VEVENT or VTODO into an event
+ */
+function componentToEvent(component) {
+    const properties = component.lines.slice(1, -1);
+    const values = {};
+    const exclusions = [];
+    let categories = [];
+    let depth = 0;
+
+    for (const line of properties) {
+        // Skip VALARMs and other sub-components
+        if (/^BEGIN:/i.test(line)) {
+            depth++;
+        } else if (/^END:/i.test(line)) {
+            depth--;
+        } else if (depth === 0) {
+            const property = parseContentLine(line);
+            if (property.name === 'EXDATE') {
+                exclusions.push(...property.value.split(','));
+            } else if (property.name === 'CATEGORIES') {
+                categories = categories.concat(property.value.split(/(?<!\\),/).map(unescapeText));
+            } else {
+                values[property.name] = property;
+            }
+        }
+    }
+
+    const isTodo = component.name === 'VTODO';
+    const startProperty = isTodo ? values.DUE || values.DTSTART : values.DTSTART;
+    if (!startProperty) {
+        throw new Error('missing start time');
+    }
+    const timeZone = startProperty.params.tzid || (startProperty.value.endsWith('Z') ? 'UTC' : null);
+    const start = parseValue(startProperty.value, timeZone);
+    const text = name => (values[name] ? unescapeText(values[name].value) : undefined);
+
+    const event = {
+        title: text('SUMMARY') || 'Untitled Event',
+        start_time: start.dateOnly ? formatDate(start.date) : formatDateTime(start.date)
+    };
+    if (start.dateOnly) {
+        event.all_day = true;
+    }
+    if (!isTodo && values.DTEND) {
+        const end = parseValue(values.DTEND.value, values.DTEND.params.tzid || timeZone).date;
+        if (start.dateOnly) {
+            // DTEND of an all-day event is the day after the last day; the event model keeps the last day
+            const last = new Date(end.getTime() - 24 * 60 * 60 * 1000);
+            if (last > start.date) {
+                event.end_time = formatDate(last);
+            }
+        } else {
+            event.end_time = formatDateTime(end);
+        }
+    }
+    if (text('LOCATION')) {
+        event.location = text('LOCATION');
+    }
+    if (text('DESCRIPTION')) {
+        event.description = text('DESCRIPTION');
+    }
+    if (timeZone && !start.dateOnly) {
+        event.timezone = timeZone;
+    }
+
+    const { type, source } = parseCategories(categories);
+    if (type || isTodo) {
+        event.type = type || 'assignment';
+    }
+    if (source) {
+        event.source = source;
+    }
+    if (values.RRULE) {
+        event.recurrence = parseRecurrence(values.RRULE.value, exclusions, timeZone);
+    }
+
+    if (values.UID) {
+        // Tasks exported next to their event (deadlines "both") share its UID with a "task-" prefix
+        event.uid = isTodo ? values.UID.value.replace(/^task-/, '') : values.UID.value;
+    }
+    event.sequence = values.SEQUENCE ? parseInt(values.SEQUENCE.value) || 0 : 0;
+    return event;
+}
+
+/**
+ * Parse the events and tasks of an ICS calendar. Cancelled events are left out, and a task is
+ * skipped when the same deadline is already there as an event.
+ * @returns {{events: object[], warnings: Array<{index: number, title: string|null, errors: string[]}>}}
+ *   warnings for components that could not be read, in the same shape as validation warnings
+ */
+function parseICSEvents(icsText) {
+    const components = parseCalendar(icsText).components
+        .filter(component => component.name === 'VEVENT' || component.name === 'VTODO');
+    const events = [];
+    const warnings = [];
+    const uids = new Set();
+
+    components.forEach((component, index) => {
+        if (component.lines.some(line => /^STATUS:CANCELLED$/i.test(line))) {
+            return;
+        }
+        try {
+            const event = componentToEvent(component);
+            if (event.uid && uids.has(event.uid)) {
+                return;
+            }
+            uids.add(event.uid);
+            events.push(event);
+        } catch (error) {
+            const summary = component.lines.find(line => /^SUMMARY[;:]/i.test(line));
+            warnings.push({
+                index,
+                title: summary ? unescapeText(parseContentLine(summary).value) : null,
+                errors: [error.message]
+            });
+        }
+    });
+
+    return { events, warnings };
+}
+
+module.exports = {
+    parseICSEvents
+};
@@ -0,0 +1,168 @@
+/**
+ * Convert ICS text to jCal (RFC 7265), the JSON form of iCalendar
+ */
+
+// Value types of the properties this app writes; anything else is text
+const PROPERTY_TYPES = {
+    DTSTART: 'date-time',
+    DTEND: 'date-time',
+    DTSTAMP: 'date-time',
+    DUE: 'date-time',
+    EXDATE: 'date-time',
+    CREATED: 'date-time',
+    'LAST-MODIFIED': 'date-time',
+    'RECURRENCE-ID': 'date-time',
+    RRULE: 'recur',
+    TRIGGER: 'duration',
+    DURATION: 'duration',
+    TZOFFSETFROM: 'utc-offset',
+    TZOFFSETTO: 'utc-offset',
+    SEQUENCE: 'integer',
+    PRIORITY: 'integer',
+    REPEAT: 'integer',
+    URL: 'uri',
+    ATTENDEE: 'cal-address',
+    ORGANIZER: 'cal-address'
+};
+
+// Properties whose comma-separated values become separate jCal values
+const MULTI_VALUE_PROPERTIES = ['CATEGORIES', 'EXDATE', 'RESOURCES'];
+
+const RECUR_INTEGER_PARTS = ['count', 'interval', 'bysetpos', 'bymonthday', 'byyearday', 'byweekno', 'bymonth',
+    'byhour', 'byminute', 'bysecond'];
+
+/**
+ * Split a content line into name, parameters and value (colons inside quoted parameters are kept)
+ */
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+
+    const head = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1);
+    const [name, ...paramParts] = head.match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const params = {};
+    for (const part of paramParts) {
+        const eq = part.indexOf('=');
+        params[part.slice(0, eq).toLowerCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value };
+}
+
+function formatDateValue(value) {
+    return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+}
+
+function formatDateTimeValue(value) {
+    return `${formatDateValue(value)}T${value.slice(9, 11)}:${value.slice(11, 13)}:${value.slice(13, 15)}` +
+        (value.endsWith('Z') ? 'Z' : '');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split on commas that are not escaped
+ */
+function splitValues(value) {
+    return value.split(/(?<!\\),/);
+}
+
+function parseRecur(value) {
+    const recur = {};
+    for (const part of value.split(';')) {
+        const [key, raw] = part.split('=');
+        const name = key.toLowerCase();
+        let parsed;
+        if (name === 'until') {
+            parsed = raw.length === 8 ? formatDateValue(raw) : formatDateTimeValue(raw);
+        } else if (RECUR_INTEGER_PARTS.includes(name)) {
+            const numbers = raw.split(',').map(Number);
+            parsed = numbers.length === 1 ? numbers[0] : numbers;
+        } else {
+            const values = raw.split(',');
+            parsed = values.length === 1 ? values[0] : values;
+        }
+        recur[name] = parsed;
+    }
+    return recur;
+}
+
+/**
+ * Convert one property to its jCal form: [name, params, type, ...values]
+ */
+function convertProperty({ name, params, value }) {
+    let type = PROPERTY_TYPES[name] || (name.startsWith('X-') ? 'unknown' : 'text');
+    if (params.value) {
+        type = params.value.toLowerCase();
+        delete params.value;
+    }
+
+    const rawValues = MULTI_VALUE_PROPERTIES.includes(name) ? splitValues(value) : [value];
+    if (type === 'date-time' && rawValues.every(raw => /^\d{8}$/.test(raw))) {
+        type = 'date';
+    }
+
+    const values = rawValues.map(raw => {
+        switch (type) {
+            case 'date':
+                return formatDateValue(raw);
+            case 'date-time':
+                return formatDateTimeValue(raw);
+            case 'utc-offset':
+                return `${raw.slice(0, 3)}:${raw.slice(3, 5)}`;
+            case 'integer':
+                return parseInt(raw, 10);
+            case 'recur':
+                return parseRecur(raw);
+            case 'text':
+                return unescapeText(raw);
+            default:
+                return raw;
+        }
+    });
+
+    return [name.toLowerCase(), params, type, ...values];
+}
+
+/**
+ * Convert ICS text into a jCal array: ["vcalendar", [properties], [components]]
+ */
+function icsToJCal(icsText) {
+    const lines = icsText.replace(/\r\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+    const stack = [];
+    let root = null;
+
+    for (const line of lines) {
+        const property = parseContentLine(line);
+        if (property.name === 'BEGIN') {
+            stack.push([property.value.toLowerCase(), [], []]);
+        } else if (property.name === 'END') {
+            const component = stack.pop();
+            if (stack.length) {
+                stack[stack.length - 1][2].push(component);
+            } else {
+                root = component;
+            }
+        } else if (stack.length) {
+            stack[stack.length - 1][1].push(convertProperty(property));
+        }
+    }
+
+    return root;
+}
+
+module.exports = {
+    parseContentLine,
+    unescapeText,
+    icsToJCal
+};
@@ -0,0 +1,160 @@
+/**
+ * In-process job queue for conversions that take longer than clients want to hold a connection:
+ * POST /api/jobs answers with a job id right away and the conversion runs here, a few at a time,
+ * with retries. The CLI uses the same queue to convert several files at once.
+ * Jobs live in memory and are forgotten some time after they finish.
+ */
+
+const crypto = require('crypto');
+const { ConversionError } = require('./errors');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETRIES = 1;
+const DEFAULT_RETRY_DELAY = 1000;
+const DEFAULT_TTL = 60 * 60 * 1000;
+
+// Job fields returned to clients (the rest, like the runner and its input, stays internal)
+const PUBLIC_FIELDS = ['id', 'status', 'stage', 'attempts', 'error', 'errorCode', 'createdAt', 'startedAt', 'finishedAt'];
+
+function readInteger(value, fallback, min) {
+    const number = parseInt(value);
+    return Number.isNaN(number) || number < min ? fallback : number;
+}
+
+class JobQueue {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.concurrency] - jobs run at the same time (default 2)
+     * @param {number} [options.retries] - extra attempts after a failure other than a ConversionError (default 1)
+     * @param {number} [options.retryDelay] - ms before the first retry, doubled for each later one (default 1s)
+     * @param {number} [options.ttl] - ms a finished job is kept for its result (default 1 hour)
+     */
+    constructor(options = {}) {
+        this.concurrency = readInteger(options.concurrency, DEFAULT_CONCURRENCY, 1);
+        this.retries = readInteger(options.retries, DEFAULT_RETRIES, 0);
+        this.retryDelay = readInteger(options.retryDelay, DEFAULT_RETRY_DELAY, 0);
+        this.ttl = readInteger(options.ttl, DEFAULT_TTL, 0);
+        this.jobs = new Map();
+        this.waiting = [];
+        this.running = 0;
+        this.idleCallbacks = [];
+    }
+
+    /**
+     * Queue a job
+     * @param {function(object): Promise<*>} run - does the work; called with { onProgress(stage, details) }
+     *   for each attempt, and its result is kept as the job's result
+     * @param {object} [data] - kept with the job for the caller (e.g. the options to render its result with)
+     * @param {function(object)} [onFinish] - called with the job once it has succeeded or failed
+     * @returns {object} the job
+     */
+    add(run, data = {}, onFinish = null) {
+        const job = {
+            id: crypto.randomBytes(12).toString('base64url'),
+            status: 'queued',
+            stage: null,
+            attempts: 0,
+            error: null,
+            errorCode: null,
+            result: null,
+            data,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            run,
+            onFinish
+        };
+        this.jobs.set(job.id, job);
+        this.waiting.push(job);
+        this.next();
+        return job;
+    }
+
+    /**
+     * A job by id, or null when it is unknown or has expired
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * The job as shown to clients: status is queued, running, succeeded or failed;
+     * errorCode is set for failures with an API error code (see lib/errors)
+     */
+    describe(job) {
+        const described = {};
+        for (const field of PUBLIC_FIELDS) {
+            described[field] = job[field];
+        }
+        return described;
+    }
+
+    /**
+     * Resolves once every queued job has finished
+     */
+    onIdle() {
+        if (this.running === 0 && this.waiting.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleCallbacks.push(resolve));
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.waiting.length > 0) {
+            const job = this.waiting.shift();
+            this.running++;
+            this.execute(job).finally(() => {
+                this.running--;
+                this.next();
+                if (this.running === 0 && this.waiting.length === 0) {
+                    this.idleCallbacks.splice(0).forEach(resolve => resolve());
+                }
+            });
+        }
+    }
+
+    async execute(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        const onProgress = stage => {
+            job.stage = stage;
+        };
+
+        for (;;) {
+            job.attempts++;
+            try {
+                job.result = await job.run({ onProgress });
+                job.status = 'succeeded';
+                break;
+            } catch (error) {
+                // API errors (see lib/errors) fail at once: invalid input never converts, and rate
+                // limits and outages have already been retried around the model call (lib/retry)
+                if (job.attempts > this.retries || error instanceof ConversionError) {
+                    console.error(`Job ${job.id} failed after ${job.attempts} attempt(s):`, error.message);
+                    job.status = 'failed';
+                    job.error = error.message;
+                    job.errorCode = error instanceof ConversionError ? error.code : null;
+                    break;
+                }
+                const delay = this.retryDelay * 2 ** (job.attempts - 1);
+                console.warn(`Job ${job.id} attempt ${job.attempts} failed (${error.message}), retrying in ${delay}ms`);
+                job.stage = 'retrying';
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        job.stage = null;
+        job.finishedAt = new Date().toISOString();
+        job.run = null;
+        if (job.onFinish) {
+            job.onFinish(job);
+            job.onFinish = null;
+        }
+        // Forget the job (and its result) once clients have had time to fetch it
+        setTimeout(() => this.jobs.delete(job.id), this.ttl).unref();
+    }
+}
+
+module.exports = {
+    JobQueue
+};
@@ -0,0 +1,220 @@
+/**
+ * Merge mode: compare a new calendar with one the user already imported and keep only the
+ * events that are new or changed, so importing the result never doubles events.
+ * Works because event UIDs are derived from their content (see CalendarConverter#eventUid);
+ * events whose UID changed because they moved are matched by title and source instead.
+ */
+
+const { foldLine } = require('./timezone');
+const { EVENT_TYPES } = require('./event-types');
+
+const TYPE_LABELS = Object.values(EVENT_TYPES).map(type => type.label.toLowerCase());
+
+// Properties that change on every export and say nothing about the event itself
+const VOLATILE_PROPERTIES = ['DTSTAMP', 'SEQUENCE'];
+
+function propertyName(line) {
+    return line.split(/[;:]/)[0].toUpperCase();
+}
+
+/**
+ * Split ICS text into calendar properties and top-level components (unfolded lines)
+ * @returns {{properties: string[], components: Array<{name: string, lines: string[]}>}}
+ */
+function parseCalendar(icsText) {
+    const lines = String(icsText).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+    const properties = [];
+    const components = [];
+    let current = null;
+    let depth = 0;
+
+    for (const line of lines) {
+        if (/^BEGIN:/i.test(line)) {
+            depth++;
+            if (depth === 2) {
+                current = { name: line.slice(6).toUpperCase(), lines: [] };
+            }
+        }
+        if (current) {
+            current.lines.push(line);
+        } else if (depth === 1 && !/^BEGIN:VCALENDAR$/i.test(line)) {
+            properties.push(line);
+        }
+        if (/^END:/i.test(line)) {
+            if (depth === 2 && current) {
+                components.push(current);
+                current = null;
+            }
+            depth--;
+        }
+    }
+
+    return { properties, components };
+}
+
+/**
+ * The value of a component's first property with this name (the component's own, before any VALARM)
+ */
+function componentValue(component, name) {
+    const line = component.lines.find(item => propertyName(item) === name);
+    return line ? line.slice(line.indexOf(':') + 1) : null;
+}
+
+function componentUid(component) {
+    return componentValue(component, 'UID');
+}
+
+function componentSequence(component) {
+    return parseInt(componentValue(component, 'SEQUENCE')) || 0;
+}
+
+/**
+ * DTSTART (or DUE for tasks) as a number to compare wall-clock starts by, ignoring time zones
+ */
+function componentStart(component) {
+    const value = componentValue(component, 'DTSTART') || componentValue(component, 'DUE') || '';
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/);
+    return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0) : 0;
+}
+
+/**
+ * What identifies an event whose UID changed: its kind, title and source (the category after the
+ * type label, as buildEvent writes them), like lib/diff pairs events by title
+ */
+function matchKey(component) {
+    const normalize = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const source = (componentValue(component, 'CATEGORIES') || '').split(/(?<!\\),/)
+        .find(category => category && !TYPE_LABELS.includes(normalize(category)));
+    return [component.name, normalize(componentValue(component, 'SUMMARY')), normalize(source)].join('\n');
+}
+
+/**
+ * The content of a component, ignoring properties that differ between exports of the same event
+ */
+function fingerprint(component) {
+    return component.lines.filter(line => !VOLATILE_PROPERTIES.includes(propertyName(line))).join('\n');
+}
+
+/**
+ * Give a component another UID
+ */
+function withUid(component, uid) {
+    return { ...component, lines: component.lines.map(line => (propertyName(line) === 'UID' ? `UID:${uid}` : line)) };
+}
+
+/**
+ * Pair each new component with the existing one it replaces: the same UID first, then (for events
+ * that moved or changed room, which changes their content-derived UID) the same kind, title and
+ * source, preferring the closest start when a title repeats
+ * @returns {Array<object|null>} the existing component for each new one, null for new events
+ */
+function matchExisting(components, existingComponents) {
+    const byUid = new Map(existingComponents.map(component => [componentUid(component), component]));
+    const used = new Set();
+    const matches = components.map(component => {
+        const previous = byUid.get(componentUid(component));
+        if (!previous || used.has(previous)) {
+            return null;
+        }
+        used.add(previous);
+        return previous;
+    });
+
+    components.forEach((component, index) => {
+        if (matches[index]) return;
+        const key = matchKey(component);
+        const start = componentStart(component);
+        let best = null;
+        for (const candidate of existingComponents) {
+            if (used.has(candidate) || matchKey(candidate) !== key) continue;
+            if (!best || Math.abs(componentStart(candidate) - start) < Math.abs(componentStart(best) - start)) {
+                best = candidate;
+            }
+        }
+        if (best) {
+            used.add(best);
+            matches[index] = best;
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Set a component's SEQUENCE, adding the property after UID when it has none
+ */
+function withSequence(component, sequence) {
+    const lines = component.lines.filter(line => propertyName(line) !== 'SEQUENCE');
+    const uidIndex = lines.findIndex(line => propertyName(line) === 'UID');
+    lines.splice(uidIndex + 1, 0, `SEQUENCE:${sequence}`);
+    return { ...component, lines };
+}
+
+/**
+ * Keep the events and tasks of a new calendar that are missing from, or differ from, the existing one.
+ * Changed components keep the existing UID and get a SEQUENCE above the existing one so calendar
+ * apps replace them.
+ * @param {string} icsText - the new calendar
+ * @param {string} existingText - the calendar the user already imported
+ * @returns {{content: string, added: number, changed: number, unchanged: number}}
+ */
+function mergeWithExisting(icsText, existingText) {
+    const existing = parseCalendar(existingText).components
+        .filter(component => component.name !== 'VTIMEZONE' && componentUid(component));
+
+    const { properties, components } = parseCalendar(icsText);
+    const items = components.filter(component => component.name !== 'VTIMEZONE');
+    const matches = matchExisting(items, existing);
+    const kept = [];
+    const counts = { added: 0, changed: 0, unchanged: 0 };
+    items.forEach((item, index) => {
+        const previous = matches[index];
+        if (!previous) {
+            counts.added++;
+            kept.push(item);
+            return;
+        }
+        const component = withUid(item, componentUid(previous));
+        if (fingerprint(previous) !== fingerprint(component)) {
+            counts.changed++;
+            kept.push(withSequence(component,
+                Math.max(componentSequence(previous) + 1, componentSequence(component))));
+        } else {
+            counts.unchanged++;
+        }
+    });
+
+    // Only the time zones the remaining events still refer to
+    const usedZones = new Set();
+    for (const component of kept) {
+        for (const line of component.lines) {
+            const match = line.match(/;TZID=([^;:]+)/);
+            if (match) {
+                usedZones.add(match[1]);
+            }
+        }
+    }
+    const zones = components.filter(component => component.name === 'VTIMEZONE' &&
+        component.lines.some(line => propertyName(line) === 'TZID' && usedZones.has(line.slice(5))));
+
+    const lines = ['BEGIN:VCALENDAR', ...properties.filter(line => !/^END:VCALENDAR$/i.test(line))];
+    for (const component of [...zones, ...kept]) {
+        lines.push(...component.lines);
+    }
+    lines.push('END:VCALENDAR');
+
+    return { content: lines.map(foldLine).join('\r\n') + '\r\n', ...counts };
+}
+
+/**
+ * Loosely check that an upload is an iCalendar file before merging with it
+ */
+function isCalendarText(text) {
+    return /^\s*BEGIN:VCALENDAR/i.test(String(text || ''));
+}
+
+module.exports = {
+    parseCalendar,
+    mergeWithExisting,
+    isCalendarText
+};
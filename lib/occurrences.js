@@ -0,0 +1,120 @@
+/**
+ * Expand an event's recurrence into individual occurrences, for formats that can't carry
+ * an RRULE (CSV imports). Covers the rules buildRecurrenceRule writes: FREQ, INTERVAL, BYDAY,
+ * UNTIL or COUNT, and exclude_dates.
+ */
+
+// RRULE BYDAY codes, indexed like Date#getDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Cap for series with neither UNTIL nor COUNT, and a guard against runaway rules
+const MAX_OCCURRENCES = 500;
+const MAX_OPEN_ENDED_DAYS = 366;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function dayKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Minutes between two wall-clock times, ignoring the server's own DST changes
+ */
+function wallClockMinutes(from, to) {
+    const toUTC = date => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds());
+    return Math.round((toUTC(to) - toUTC(from)) / 60000);
+}
+
+function addMinutes(date, minutes) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes() + minutes, date.getSeconds());
+}
+
+/**
+ * Yield candidate start times of a rule in order, starting from the first occurrence
+ */
+function* candidates(start, frequency, interval, days) {
+    if (frequency === 'WEEKLY') {
+        // Weeks start on Monday (the RFC 5545 default WKST)
+        const offsets = (days.length ? days : [WEEKDAYS[start.getDay()]])
+            .map(code => (WEEKDAYS.indexOf(code) + 6) % 7)
+            .sort((a, b) => a - b);
+        const startOffset = (start.getDay() + 6) % 7;
+        for (let week = 0; ; week += interval) {
+            for (const offset of offsets) {
+                const dayShift = week * 7 + offset - startOffset;
+                if (dayShift >= 0) {
+                    yield new Date(start.getFullYear(), start.getMonth(), start.getDate() + dayShift,
+                        start.getHours(), start.getMinutes(), start.getSeconds());
+                }
+            }
+        }
+    }
+
+    for (let step = 0; ; step += interval) {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate(),
+            start.getHours(), start.getMinutes(), start.getSeconds());
+        if (frequency === 'DAILY') {
+            date.setDate(date.getDate() + step);
+        } else if (frequency === 'MONTHLY') {
+            date.setMonth(date.getMonth() + step);
+        } else {
+            date.setFullYear(date.getFullYear() + step);
+        }
+        // Dates like the 31st of a shorter month don't exist and are skipped, as in RFC 5545
+        if (frequency === 'DAILY' || date.getDate() === start.getDate()) {
+            yield date;
+        }
+    }
+}
+
+/**
+ * List the occurrences of an extracted event as wall-clock times
+ * @returns {{allDay: boolean, occurrences: Array<{start: Date, end: Date}>}}
+ *   for all-day events, end is the day after the last day
+ */
+function expandOccurrences(converter, eventData, timeZone = null) {
+    const { allDay, start, end } = converter.eventTimes(eventData, timeZone);
+    const recurrence = eventData.recurrence;
+    if (!recurrence || !(recurrence.frequency || recurrence.days)) {
+        return { allDay, occurrences: [{ start, end }] };
+    }
+
+    const days = recurrence.days ? converter.normalizeDays(recurrence.days) : [];
+    const frequency = String(recurrence.frequency || 'WEEKLY').toUpperCase();
+    const interval = Math.max(parseInt(recurrence.interval) || 1, 1);
+    const count = parseInt(recurrence.count) || 0;
+    const duration = wallClockMinutes(start, end);
+
+    let until;
+    if (recurrence.until) {
+        until = converter.parseDateTime(String(recurrence.until));
+        until.setHours(23, 59, 59);
+    } else if (!count) {
+        until = converter.addDays(start, MAX_OPEN_ENDED_DAYS);
+    }
+    const excluded = new Set((recurrence.exclude_dates || [])
+        .map(dateStr => dayKey(converter.parseDateTime(String(dateStr)))));
+
+    const occurrences = [];
+    let generated = 0;
+    for (const date of candidates(start, frequency, interval, days)) {
+        if ((until && date > until) || (count && generated >= count) || occurrences.length >= MAX_OCCURRENCES) {
+            break;
+        }
+        // COUNT includes excluded dates, as EXDATE removes occurrences after the rule is applied
+        generated++;
+        if (!excluded.has(dayKey(date))) {
+            occurrences.push({ start: date, end: addMinutes(date, duration) });
+        }
+    }
+
+    return { allDay, occurrences };
+}
+
+module.exports = {
+    MAX_OCCURRENCES,
+    expandOccurrences
+};
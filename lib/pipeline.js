@@ -0,0 +1,164 @@
+/**
+ * The conversion pipeline shared by the CLI, the server and the Vercel handler:
+ * extract (input -> events via the model), normalize (validate events from any source)
+ * and toICS / render (events -> calendar file)
+ */
+
+const { loadDocument } = require('./documents');
+const { validateEventsData } = require('./validation');
+const { sourceNameFromFile, mergeEventSets, buildCalendarZip } = require('./batch');
+const { applyTerm } = require('./term');
+const { renderEvents } = require('./formats');
+const { mergeWithExisting } = require('./merge');
+const { parseICSEvents } = require('./ics-import');
+const { diffEvents, updateEvents } = require('./diff');
+const { findConflicts } = require('./conflicts');
+
+class CalendarPipeline {
+    /**
+     * @param {CalendarConverter} converter - provides the model call and ICS building
+     */
+    constructor(converter) {
+        this.converter = converter;
+    }
+
+    /**
+     * Load an input into { content, isImage } for the model
+     */
+    async load(input) {
+        if (typeof input.text === 'string') {
+            return { content: input.text, isImage: false };
+        }
+        console.log(`Processing file: ${input.filename}`);
+        return loadDocument(input.buffer, input.filename);
+    }
+
+    /**
+     * Extract events from one input with the model
+     * @param {{text: string}|{buffer: Buffer, filename: string}} input
+     * @param {object} context - { term } to anchor undated weekly schedules; signal and onProgress
+     *   as for extractCalendarInfo, with a 'reading' stage for files and the file name in every stage's details
+     * @returns {Promise<{events: object[], warnings: object[]}>}
+     */
+    async extract(input, context = {}) {
+        if (context.onProgress && input.filename) {
+            const onProgress = context.onProgress;
+            context = { ...context, onProgress: (stage, details = {}) => onProgress(stage, { file: input.filename, ...details }) };
+            context.onProgress('reading');
+        }
+        const { content, isImage } = await this.load(input);
+        return this.converter.extractCalendarInfo(content, isImage, context);
+    }
+
+    /**
+     * Extract events from several files and merge them, tagging each event with its source
+     * @param {Array<{buffer: Buffer, filename: string}>} files
+     * @param {object} context - as for extract
+     */
+    async extractMany(files, context = {}) {
+        const results = [];
+        for (const file of files) {
+            const eventsData = await this.extract(file, context);
+            results.push({
+                source: sourceNameFromFile(file.filename),
+                events: eventsData.events,
+                warnings: eventsData.warnings
+            });
+        }
+        return mergeEventSets(results);
+    }
+
+    /**
+     * Extract the term and its blackout dates from an academic calendar
+     */
+    async extractTerm(input) {
+        const { content, isImage } = await this.load(input);
+        return this.converter.extractTermInfo(content, isImage);
+    }
+
+    /**
+     * Validate events that did not come straight from the model (e.g. edited in the preview)
+     * @returns {{events: object[], warnings: object[]}}
+     */
+    normalize(eventsData) {
+        const events = Array.isArray(eventsData) ? eventsData : eventsData && eventsData.events;
+        return validateEventsData({ events }, this.converter);
+    }
+
+    /**
+     * Events that overlap each other, or the user's existing calendar, once series are fitted into the term
+     * @param {object} options - render options (timezone, term)
+     * @param {string|null} existingText - ICS text of the user's calendar, if given
+     * @returns {object[]} see findConflicts; indexes refer to events (or the existing calendar's events)
+     */
+    findConflicts(events, options = {}, existingText = null) {
+        const existing = existingText ? parseICSEvents(existingText).events : [];
+        return findConflicts(this.converter, this.fitToTerm(events, options), { timezone: options.timezone, existing });
+    }
+
+    /**
+     * Read the events of a calendar generated earlier back from its ICS text
+     * @returns {{events: object[], warnings: object[]}}
+     */
+    importICS(icsText) {
+        return parseICSEvents(icsText);
+    }
+
+    /**
+     * Compare a calendar generated earlier (ICS text) with newly extracted events
+     * @returns {object} see diffEvents, plus warnings for components of the old calendar that could not be read
+     */
+    diff(existingText, events) {
+        const previous = parseICSEvents(existingText);
+        return { ...diffEvents(previous.events, events, this.converter), warnings: previous.warnings };
+    }
+
+    /**
+     * Events for an update calendar from a diff: new, moved and changed events, and cancellations
+     */
+    updateEvents(diff) {
+        return updateEvents(diff);
+    }
+
+    /**
+     * Fit recurring events into options.term, if one is given
+     */
+    fitToTerm(events, options) {
+        return options.term ? applyTerm(events, options.term, this.converter) : events || [];
+    }
+
+    /**
+     * Render events in options.format (ICS by default; see lib/formats).
+     * With options.existing (ICS text of a calendar already imported), only new and changed events are kept.
+     * @returns {{content: string, contentType: string, extension: string, merge?: object}}
+     *   merge counts the added, changed and unchanged events
+     */
+    render(eventsData, options = {}) {
+        const rendered = renderEvents(this.converter, this.fitToTerm(eventsData.events, options), options);
+        if (!options.existing) {
+            return rendered;
+        }
+        const { content, ...merge } = mergeWithExisting(rendered.content, options.existing);
+        return { ...rendered, content, merge };
+    }
+
+    /**
+     * Build the ICS text for a set of events: render in the ICS format
+     * @param {object} options - render options (the format is always ics)
+     */
+    toICS(eventsData, options = {}) {
+        return this.render(eventsData, { ...options, format: 'ics' }).content;
+    }
+
+    /**
+     * Build a zip with one file per event source, in options.format
+     */
+    toZip(events, options = {}) {
+        return buildCalendarZip(this.fitToTerm(events, options),
+            group => renderEvents(this.converter, group, options));
+    }
+}
+
+module.exports = {
+    CalendarPipeline
+};
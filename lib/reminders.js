@@ -0,0 +1,75 @@
+/**
+ * Reminder (VALARM) options: parsing "15m,1d"-style lists and defaults by event type
+ */
+
+const { normalizeEventType } = require('./event-types');
+
+const UNIT_MINUTES = {
+    m: 1,
+    h: 60,
+    d: 24 * 60,
+    w: 7 * 24 * 60
+};
+
+// Minutes before the event, used when no reminders are requested
+const DEFAULT_REMINDERS_BY_TYPE = {
+    exam: [7 * 24 * 60, 24 * 60],
+    assignment: [7 * 24 * 60, 24 * 60],
+    lecture: [10],
+    lab: [10]
+};
+
+/**
+ * Parse a reminder list like "15m,1d" (or ["15m", "1d"]) into minutes before the event.
+ * "none" turns reminders off; an empty value means "use the defaults" and returns null.
+ * @returns {number[]|null}
+ */
+function parseReminders(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    if (items.length === 1 && String(items[0]).trim().toLowerCase() === 'none') {
+        return [];
+    }
+
+    const minutes = items.map(item => {
+        const match = String(item).trim().toLowerCase().match(/^(\d+)\s*([mhdw])$/);
+        if (!match || parseInt(match[1]) === 0) {
+            throw new Error(`Invalid reminder "${item}". Use values like 15m, 2h, 1d or 1w, or "none".`);
+        }
+        return parseInt(match[1]) * UNIT_MINUTES[match[2]];
+    });
+    return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+/**
+ * Pick the reminders for one event: the requested list, or the defaults for its type
+ */
+function remindersForEvent(eventData, reminders = null) {
+    if (reminders) {
+        return reminders;
+    }
+    return DEFAULT_REMINDERS_BY_TYPE[normalizeEventType(eventData.type)] || [];
+}
+
+/**
+ * Convert minutes before the event into ics alarm objects
+ */
+function buildAlarms(minutesList, title) {
+    // Triggers are written in hours and minutes only: the ics package emits "P1DT" for
+    // day/week durations, which is not a valid RFC 5545 duration
+    return minutesList.map(minutes => ({
+        action: 'display',
+        description: title || 'Reminder',
+        trigger: { hours: Math.floor(minutes / 60), minutes: minutes % 60, before: true }
+    }));
+}
+
+module.exports = {
+    DEFAULT_REMINDERS_BY_TYPE,
+    parseReminders,
+    remindersForEvent,
+    buildAlarms
+};
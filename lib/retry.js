@@ -0,0 +1,108 @@
+/**
+ * Retries around the model call: exponential backoff with jitter for rate limits and outages,
+ * the provider's retry-after hint when it gives one, and a timeout for each attempt
+ */
+
+const { ConversionError, classifyProviderError } = require('./errors');
+
+const DEFAULT_RETRY_OPTIONS = {
+    retries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    timeout: 120000
+};
+
+/**
+ * Seconds to wait from a Retry-After header: a number of seconds or an HTTP date
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds, 0);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max((date - Date.now()) / 1000, 0);
+}
+
+/**
+ * Read retry options, e.g. from environment variables, falling back to the defaults
+ * @param {object} options - { retries, baseDelay, maxDelay, timeout } as numbers or strings (ms)
+ */
+function resolveRetryOptions(options = {}) {
+    const resolved = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_RETRY_OPTIONS)) {
+        const value = parseInt(options[key]);
+        resolved[key] = Number.isNaN(value) || value < 0 ? fallback : value;
+    }
+    return resolved;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Run call(signal) until it succeeds, retrying errors that classifyProviderError finds retryable.
+ * The wait before retry n is a random time up to baseDelay * 2^n (capped at maxDelay), or the
+ * provider's retry-after when that is longer; a retry-after beyond maxDelay fails at once, as the
+ * user is better off trying again later. Errors are thrown as ConversionErrors where they can be.
+ * @param {function(AbortSignal): Promise<*>} call - one attempt; must stop when the signal aborts
+ * @param {object} options - see resolveRetryOptions, plus signal (cancels everything; its error is
+ *   thrown as is) and onRetry(error, delay, attempt)
+ */
+async function withRetry(call, options = {}) {
+    const { retries, baseDelay, maxDelay, timeout } = resolveRetryOptions(options);
+    const { signal, onRetry } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
+        const timeoutSignal = timeout > 0 ? AbortSignal.timeout(timeout) : null;
+        const signals = [signal, timeoutSignal].filter(Boolean);
+
+        try {
+            return await call(signals.length > 1 ? AbortSignal.any(signals) : signals[0]);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
+            const classified = timeoutSignal && timeoutSignal.aborted
+                ? new ConversionError('upstream_unavailable',
+                    `The AI provider did not answer within ${timeout / 1000} seconds`, { cause: error })
+                : classifyProviderError(error);
+            if (!classified) {
+                throw error;
+            }
+            const hint = classified.retryAfter ? classified.retryAfter * 1000 : 0;
+            if (!classified.retryable || attempt >= retries || hint > maxDelay) {
+                throw classified;
+            }
+
+            const delay = Math.max(hint, Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt)));
+            if (onRetry) {
+                onRetry(classified, delay, attempt + 1);
+            }
+            await sleep(delay, signal);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_RETRY_OPTIONS,
+    parseRetryAfter,
+    resolveRetryOptions,
+    withRetry
+};
@@ -0,0 +1,200 @@
+/**
+ * Academic term support: keep weekly series inside the term dates and skip blackout dates
+ * (holidays, breaks) from the university's academic calendar
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// RRULE BYDAY codes, indexed like Date#getDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDateTime(date) {
+    return `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Whole calendar days from one date to another (DST-safe)
+ */
+function daysBetween(from, to) {
+    return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+}
+
+/**
+ * Validate a term and parse its dates.
+ * Accepts an object or its JSON text (multipart forms send strings):
+ * { name, start, end, blackouts: [{ label, start, end } | "YYYY-MM-DD" | "YYYY-MM-DD..YYYY-MM-DD"] }
+ * @returns {object|null} the term with Date values, or null when no term was given
+ */
+function parseTerm(value, converter) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    let term = value;
+    if (typeof value === 'string') {
+        try {
+            term = JSON.parse(value);
+        } catch (error) {
+            throw new Error('Invalid term: expected a JSON object');
+        }
+    }
+    if (!term || typeof term !== 'object' || Array.isArray(term)) {
+        throw new Error('Invalid term: expected an object with start and end dates');
+    }
+
+    const parseDay = (dateStr, field) => {
+        try {
+            return startOfDay(converter.parseDateTime(String(dateStr)));
+        } catch (error) {
+            throw new Error(`Invalid term: ${field} "${dateStr}" is not a valid date`);
+        }
+    };
+
+    if (!term.start || !term.end) {
+        throw new Error('Invalid term: start and end dates are required');
+    }
+    const start = parseDay(term.start, 'start');
+    const end = parseDay(term.end, 'end');
+    if (end < start) {
+        throw new Error('Invalid term: end must be after start');
+    }
+
+    if (term.blackouts !== undefined && !Array.isArray(term.blackouts)) {
+        throw new Error('Invalid term: blackouts must be an array');
+    }
+    const blackouts = (term.blackouts || []).map(blackout => {
+        const range = typeof blackout === 'string'
+            ? { start: blackout.split('..')[0], end: blackout.split('..')[1] }
+            : blackout || {};
+        if (!range.start) {
+            throw new Error('Invalid term: every blackout needs a start date');
+        }
+        const blackoutStart = parseDay(range.start, 'blackout');
+        const blackoutEnd = range.end ? parseDay(range.end, 'blackout') : blackoutStart;
+        return {
+            label: range.label || null,
+            start: blackoutStart,
+            end: blackoutEnd < blackoutStart ? blackoutStart : blackoutEnd
+        };
+    });
+
+    return { name: term.name || null, start, end, blackouts };
+}
+
+/**
+ * Term in the JSON shape used by the API and saved files (dates as YYYY-MM-DD)
+ */
+function serializeTerm(term) {
+    return {
+        name: term.name,
+        start: formatDate(term.start),
+        end: formatDate(term.end),
+        blackouts: term.blackouts.map(blackout => ({
+            label: blackout.label,
+            start: formatDate(blackout.start),
+            end: formatDate(blackout.end)
+        }))
+    };
+}
+
+/**
+ * Every blackout day between two dates (inclusive)
+ */
+function blackoutDays(term, from, to) {
+    const days = [];
+    for (const blackout of term.blackouts) {
+        const first = blackout.start < from ? from : blackout.start;
+        const last = blackout.end > to ? to : blackout.end;
+        for (let day = first; day <= last; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+            days.push(day);
+        }
+    }
+    return days;
+}
+
+/**
+ * Fit a recurring event into the term: the series starts no earlier than the term start,
+ * ends no later than the term end, and skips blackout days. Other events are returned unchanged.
+ */
+function fitEventToTerm(eventData, term, converter) {
+    const recurrence = eventData.recurrence;
+    if (!recurrence || !(recurrence.frequency || recurrence.days)) {
+        return eventData;
+    }
+
+    const allDay = converter.isAllDay(eventData);
+    const format = date => (allDay ? formatDate(date) : formatDateTime(date));
+    let start = converter.parseDateTime(String(eventData.start_time));
+    let end = eventData.end_time ? converter.parseDateTime(String(eventData.end_time)) : null;
+
+    const result = { ...eventData, recurrence: { ...recurrence } };
+    const days = recurrence.days ? converter.normalizeDays(recurrence.days) : [];
+
+    // Move a series the model dated before the term (or guessed the wrong year for) to the term start.
+    // Series without listed days repeat on the start's weekday, so those move by whole weeks to keep it;
+    // with listed days, the converter moves the start on to the first of them (see eventTimes)
+    const step = days.length || String(recurrence.frequency).toUpperCase() === 'DAILY' ? 1 : 7;
+    const shift = Math.ceil(daysBetween(start, term.start) / step) * step;
+    if (shift > 0) {
+        start = converter.addDays(start, shift);
+        result.start_time = format(start);
+        if (end) {
+            end = converter.addDays(end, shift);
+            result.end_time = format(end);
+        }
+    }
+
+    let until = recurrence.until ? startOfDay(converter.parseDateTime(String(recurrence.until))) : null;
+    if (!recurrence.count && (!until || until > term.end)) {
+        until = term.end;
+        result.recurrence.until = formatDate(until);
+    }
+
+    const lastDay = until || term.end;
+    const excluded = new Set(recurrence.exclude_dates || []);
+    for (const day of blackoutDays(term, startOfDay(start), lastDay)) {
+        if (days.length === 0 || days.includes(WEEKDAYS[day.getDay()])) {
+            excluded.add(formatDate(day));
+        }
+    }
+    if (excluded.size) {
+        result.recurrence.exclude_dates = [...excluded];
+    }
+
+    return result;
+}
+
+/**
+ * Fit every recurring event into the term
+ */
+function applyTerm(events, term, converter) {
+    return (events || []).map(eventData => fitEventToTerm(eventData, term, converter));
+}
+
+/**
+ * Describe the term for the extraction prompt so the model anchors undated weekly patterns to it
+ */
+function describeTermForPrompt(term) {
+    const name = term.name ? ` (${term.name})` : '';
+    return `The academic term${name} runs from ${formatDate(term.start)} to ${formatDate(term.end)}. ` +
+        'For weekly meetings given without dates (e.g. "MWF 10am"), use the first meeting on or after the term start ' +
+        'as start_time and the term end as recurrence "until".';
+}
+
+module.exports = {
+    parseTerm,
+    serializeTerm,
+    applyTerm,
+    describeTermForPrompt
+};
@@ -0,0 +1,270 @@
+/**
+ * Time zone helpers built on Intl (no tz database dependency).
+ * Used to emit TZID-qualified event times plus matching VTIMEZONE blocks.
+ */
+
+// Common abbreviations the model (or a syllabus) may use instead of IANA names
+const TIME_ZONE_ALIASES = {
+    'EST': 'America/New_York',
+    'EDT': 'America/New_York',
+    'ET': 'America/New_York',
+    'EASTERN': 'America/New_York',
+    'CST': 'America/Chicago',
+    'CDT': 'America/Chicago',
+    'CT': 'America/Chicago',
+    'CENTRAL': 'America/Chicago',
+    'MST': 'America/Denver',
+    'MDT': 'America/Denver',
+    'MT': 'America/Denver',
+    'MOUNTAIN': 'America/Denver',
+    'PST': 'America/Los_Angeles',
+    'PDT': 'America/Los_Angeles',
+    'PT': 'America/Los_Angeles',
+    'PACIFIC': 'America/Los_Angeles',
+    'AKST': 'America/Anchorage',
+    'AKDT': 'America/Anchorage',
+    'HST': 'Pacific/Honolulu',
+    'GMT': 'UTC',
+    'UTC': 'UTC',
+    'Z': 'UTC',
+    'BST': 'Europe/London',
+    'CET': 'Europe/Berlin',
+    'CEST': 'Europe/Berlin',
+    'IST': 'Asia/Kolkata',
+    'JST': 'Asia/Tokyo',
+    'AEST': 'Australia/Sydney',
+    'AEDT': 'Australia/Sydney'
+};
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Resolve an IANA name or common abbreviation to a canonical IANA time zone.
+ * Returns null if the zone is unknown.
+ */
+function resolveTimeZone(name) {
+    if (!name || typeof name !== 'string') {
+        return null;
+    }
+    const trimmed = name.trim();
+    const candidate = TIME_ZONE_ALIASES[trimmed.toUpperCase()] || trimmed;
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: candidate }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the system time zone of the current process
+ */
+function getSystemTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * UTC offset of a time zone at the given instant, in minutes (east of UTC is positive)
+ */
+function getOffsetMinutes(timeZone, utcMillis) {
+    const values = {};
+    for (const part of getFormatter(timeZone).formatToParts(new Date(utcMillis))) {
+        values[part.type] = part.value;
+    }
+    const asUTC = Date.UTC(
+        parseInt(values.year),
+        parseInt(values.month) - 1,
+        parseInt(values.day),
+        parseInt(values.hour),
+        parseInt(values.minute),
+        parseInt(values.second)
+    );
+    return Math.round((asUTC - Math.floor(utcMillis / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC timestamp (ms)
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const firstOffset = getOffsetMinutes(timeZone, guess);
+    const utc = guess - firstOffset * 60000;
+    const secondOffset = getOffsetMinutes(timeZone, utc);
+    return secondOffset === firstOffset ? utc : guess - secondOffset * 60000;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * Format a UTC timestamp shifted by an offset as an ICS local time (YYYYMMDDTHHMMSS)
+ */
+function formatShifted(utcMillis, offsetMinutes) {
+    const d = new Date(utcMillis + offsetMinutes * 60000);
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+        `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+}
+
+function getAbbreviation(timeZone, utcMillis) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(utcMillis))
+        .find(p => p.type === 'timeZoneName');
+    return part ? part.value : null;
+}
+
+/**
+ * Find every offset change of a time zone between two instants
+ */
+function findTransitions(timeZone, fromMillis, toMillis) {
+    const transitions = [];
+    const day = 24 * 60 * 60 * 1000;
+    let previous = getOffsetMinutes(timeZone, fromMillis);
+
+    for (let t = fromMillis; t < toMillis; t += day) {
+        const next = getOffsetMinutes(timeZone, t + day);
+        if (next !== previous) {
+            // Binary search down to the minute
+            let low = t;
+            let high = t + day;
+            while (high - low > 60000) {
+                const mid = low + Math.floor((high - low) / 120000) * 60000;
+                if (getOffsetMinutes(timeZone, mid) === previous) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            transitions.push({ at: high, from: previous, to: next });
+            previous = next;
+        }
+    }
+    return transitions;
+}
+
+/**
+ * Build a VTIMEZONE block (CRLF lines) covering the given years
+ */
+function buildVTimezone(timeZone, fromYear, toYear) {
+    const start = zonedTimeToUtc(fromYear, 1, 1, 0, 0, 0, timeZone);
+    const end = zonedTimeToUtc(toYear + 1, 1, 1, 0, 0, 0, timeZone);
+    const standardOffset = Math.min(
+        getOffsetMinutes(timeZone, Date.UTC(fromYear, 0, 1)),
+        getOffsetMinutes(timeZone, Date.UTC(fromYear, 6, 1))
+    );
+
+    const component = (at, from, to) => {
+        const type = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        const lines = [
+            `BEGIN:${type}`,
+            `DTSTART:${formatShifted(at, from)}`,
+            `TZOFFSETFROM:${formatOffset(from)}`,
+            `TZOFFSETTO:${formatOffset(to)}`
+        ];
+        const abbreviation = getAbbreviation(timeZone, at);
+        if (abbreviation) {
+            lines.push(`TZNAME:${abbreviation}`);
+        }
+        lines.push(`END:${type}`);
+        return lines;
+    };
+
+    const initialOffset = getOffsetMinutes(timeZone, start);
+    const lines = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...component(start, initialOffset, initialOffset)
+    ];
+    for (const transition of findTransitions(timeZone, start, end)) {
+        lines.push(...component(transition.at, transition.from, transition.to));
+    }
+    lines.push('END:VTIMEZONE');
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 section 3.1)
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) {
+        return line;
+    }
+    const chunks = [];
+    let current = '';
+    let limit = 75;
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+            limit = 74; // continuation lines start with a space
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Qualify DTSTART/DTEND/EXDATE/DUE of each VEVENT and VTODO with its TZID and add VTIMEZONE blocks.
+ * `timeZones` is aligned with the VEVENTs and VTODOs in the calendar, in order (null = leave floating).
+ * Date-only EXDATEs (all-day series) and DUEs are marked VALUE=DATE, which the ics package can't do.
+ */
+function applyTimeZones(icsText, timeZones, fromYear, toYear) {
+    const zones = [...new Set(timeZones.filter(Boolean))];
+    const lines = icsText.replace(/\r\n[ \t]/g, '').split('\r\n');
+    const output = [];
+    let index = -1;
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT' || line === 'BEGIN:VTODO') {
+            if (index === -1) {
+                for (const zone of zones) {
+                    output.push(...buildVTimezone(zone, fromYear, toYear).trimEnd().split('\r\n'));
+                }
+            }
+            index++;
+        }
+        const timeZone = index >= 0 ? timeZones[index] : null;
+        if (/^(EXDATE|DUE):\d{8}(,\d{8})*$/.test(line)) {
+            output.push(line.replace(/^(EXDATE|DUE):/, '$1;VALUE=DATE:'));
+        } else if (timeZone && /^(DTSTART|DTEND|EXDATE|DUE):/.test(line)) {
+            output.push(line.replace(/^(DTSTART|DTEND|EXDATE|DUE):/, `$1;TZID=${timeZone}:`));
+        } else {
+            output.push(line);
+        }
+    }
+
+    return output.map(foldLine).join('\r\n');
+}
+
+module.exports = {
+    TIME_ZONE_ALIASES,
+    resolveTimeZone,
+    getSystemTimeZone,
+    getOffsetMinutes,
+    zonedTimeToUtc,
+    buildVTimezone,
+    foldLine,
+    applyTimeZones
+};
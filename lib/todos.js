@@ -0,0 +1,97 @@
+/**
+ * Deadlines (assignment due dates) exported as VTODO tasks.
+ * The ics package only writes VEVENTs, so VTODOs are formatted here.
+ */
+
+const crypto = require('crypto');
+const { normalizeEventType } = require('./event-types');
+
+// How deadlines are exported: as events (default), as tasks, or as both
+const DEADLINE_MODES = ['event', 'todo', 'both'];
+
+/**
+ * Check a deadlines option, returning the default mode when it is not set
+ */
+function resolveDeadlineMode(mode) {
+    if (mode === undefined || mode === null || mode === '') {
+        return 'event';
+    }
+    const value = String(mode).toLowerCase();
+    if (!DEADLINE_MODES.includes(value)) {
+        throw new Error(`Unsupported deadlines option "${mode}". Use ${DEADLINE_MODES.join(', ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Deadlines are assignments (homework, projects, due dates)
+ */
+function isDeadline(eventData) {
+    return normalizeEventType(eventData.type) === 'assignment';
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function formatUTCStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a VTODO component (CRLF lines, unfolded; applyTimeZones folds and adds the TZID)
+ * @param {object} todo - { uid (random when absent), sequence, status (default NEEDS-ACTION), title, description, location,
+ *   due ('YYYYMMDD' or 'YYYYMMDDTHHMMSS'), categories, color, reminders (minutes before the due time) }
+ */
+function formatTodo(todo) {
+    const lines = [
+        'BEGIN:VTODO',
+        `UID:${todo.uid || crypto.randomUUID()}`,
+        `DTSTAMP:${formatUTCStamp(new Date())}`,
+        `SUMMARY:${escapeText(todo.title || 'Untitled Task')}`
+    ];
+    if (Number.isInteger(todo.sequence)) {
+        lines.push(`SEQUENCE:${todo.sequence}`);
+    }
+    if (todo.description) {
+        lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+    }
+    if (todo.location) {
+        lines.push(`LOCATION:${escapeText(todo.location)}`);
+    }
+    lines.push(`DUE:${todo.due}`, `STATUS:${todo.status ? String(todo.status).toUpperCase() : 'NEEDS-ACTION'}`);
+    if (todo.categories && todo.categories.length) {
+        lines.push(`CATEGORIES:${todo.categories.map(escapeText).join(',')}`);
+    }
+    if (todo.color) {
+        lines.push(`COLOR:${todo.color}`);
+    }
+    for (const minutes of todo.reminders || []) {
+        // Task alarms are relative to DUE, which RELATED=END refers to for a VTODO
+        const hours = Math.floor(minutes / 60);
+        const duration = `PT${hours ? `${hours}H` : ''}${minutes % 60 ? `${minutes % 60}M` : ''}`;
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(todo.title || 'Reminder')}`,
+            `TRIGGER;RELATED=END:-${duration}`,
+            'END:VALARM'
+        );
+    }
+    lines.push('END:VTODO');
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    DEADLINE_MODES,
+    resolveDeadlineMode,
+    isDeadline,
+    formatTodo
+};
@@ -0,0 +1,125 @@
+/**
+ * Schema checks for events returned by the model, and the repair prompt
+ * sent back when they fail
+ */
+
+const { resolveTimeZone } = require('./timezone');
+const { normalizeEventType } = require('./event-types');
+
+/**
+ * Check one event against the extraction schema.
+ * Dates are parsed with the converter so validation matches ICS generation.
+ * @returns {string[]} problems found (empty when valid)
+ */
+function validateEvent(event, converter) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return ['event must be an object'];
+    }
+
+    const errors = [];
+    if (typeof event.title !== 'string' || !event.title.trim()) {
+        errors.push('title is required');
+    }
+
+    const parse = (field) => {
+        try {
+            return converter.parseDateTime(String(event[field]));
+        } catch (error) {
+            errors.push(`${field} "${event[field]}" is not a valid date`);
+            return null;
+        }
+    };
+
+    let start = null;
+    let end = null;
+    if (!event.start_time) {
+        errors.push('start_time is required');
+    } else {
+        start = parse('start_time');
+    }
+    if (event.end_time) {
+        end = parse('end_time');
+    }
+    // All-day events end on their last day, which may be the first; timed events must end later
+    if (start && end && (converter.isAllDay(event) ? end < start : end <= start)) {
+        errors.push('end_time must be after start_time');
+    }
+
+    if (event.timezone && !resolveTimeZone(event.timezone)) {
+        errors.push(`timezone "${event.timezone}" is not a known time zone`);
+    }
+    if (event.attendees !== undefined && !Array.isArray(event.attendees)) {
+        errors.push('attendees must be an array');
+    }
+
+    // Same check as buildEvent: a recurrence without a frequency or days is ignored there
+    const recurrence = event.recurrence;
+    if (recurrence && (recurrence.frequency || recurrence.days)) {
+        try {
+            converter.buildRecurrenceRule(recurrence);
+            for (const date of recurrence.exclude_dates || []) {
+                converter.parseDateTime(String(date));
+            }
+        } catch (error) {
+            errors.push(`recurrence: ${error.message}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a parsed model response, keeping the valid events with their type mapped to one of
+ * EVENT_TYPES (see normalizeEventType), so clients get the same types the exports use
+ * @returns {{events: object[], warnings: Array<{index: number|null, title: string|null, errors: string[]}>}}
+ */
+function validateEventsData(data, converter) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.events)) {
+        return {
+            events: [],
+            warnings: [{ index: null, title: null, errors: ['response must be an object with an "events" array'] }]
+        };
+    }
+
+    const events = [];
+    const warnings = [];
+    data.events.forEach((event, index) => {
+        const errors = validateEvent(event, converter);
+        if (errors.length === 0) {
+            events.push(event.type ? { ...event, type: normalizeEventType(event.type) } : event);
+        } else {
+            const title = event && typeof event.title === 'string' ? event.title : null;
+            warnings.push({ index, title, errors });
+        }
+    });
+
+    return { events, warnings };
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix its previous answer
+ */
+function buildRepairPrompt(previousResponse, warnings) {
+    const problems = warnings.map(warning => {
+        const label = warning.index === null
+            ? 'Response'
+            : `Event ${warning.index + 1}${warning.title ? ` ("${warning.title}")` : ''}`;
+        return `- ${label}: ${warning.errors.join('; ')}`;
+    });
+
+    return `Your previous response was:
+${previousResponse}
+
+It had these problems:
+${problems.join('\n')}
+
+Return the corrected, complete JSON object with ALL events, using the same structure.
+Dates must be "YYYY-MM-DD HH:MM" or "YYYY-MM-DD", and end_time must be after start_time.
+Return ONLY valid JSON, no additional text or explanations.`;
+}
+
+module.exports = {
+    validateEvent,
+    validateEventsData,
+    buildRepairPrompt
+};
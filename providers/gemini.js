@@ -0,0 +1,50 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Seconds to wait from the RetryInfo detail Gemini sends with 429s ({ retryDelay: "37s" })
+ */
+function retryDelayFromDetails(details) {
+    const retryInfo = (details || []).find(detail => detail && String(detail['@type']).endsWith('RetryInfo'));
+    const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : NaN;
+    return Number.isNaN(seconds) ? null : seconds;
+}
+
+/**
+ * Google Gemini provider (default backend)
+ */
+class GeminiProvider {
+    constructor(options = {}) {
+        if (!options.apiKey) {
+            throw new Error(
+                'Gemini API key is required. Set GEMINI_API_KEY environment variable ' +
+                'or pass it via --api-key argument.'
+            );
+        }
+        this.name = 'gemini';
+        this.modelName = options.model || DEFAULT_MODEL;
+        this.genAI = new GoogleGenerativeAI(options.apiKey);
+        console.log(`Initializing Gemini model: ${this.modelName}`);
+        this.model = this.genAI.getGenerativeModel({ model: this.modelName });
+        console.log('Model initialized successfully');
+    }
+
+    /**
+     * Send prompt parts (strings and inlineData images) and return the raw response text
+     * @param {object} [options] - { signal: AbortSignal that cancels the request }
+     */
+    async generate(parts, options = {}) {
+        console.log(`Using model: ${this.modelName} for API call`);
+        try {
+            const response = await this.model.generateContent(parts, { signal: options.signal });
+            return response.response.text();
+        } catch (error) {
+            // The SDK's fetch errors carry the HTTP status; lib/retry reads it and retryAfter
+            error.retryAfter = retryDelayFromDetails(error.errorDetails);
+            throw error;
+        }
+    }
+}
+
+module.exports = GeminiProvider;
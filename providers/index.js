@@ -0,0 +1,64 @@
+/**
+ * Extraction backends. Every provider exposes:
+ *   name                  - provider id
+ *   modelName             - model used for calls
+ *   async generate(parts, options) - parts is an array of prompt strings and
+ *                           { inlineData: { data, mimeType } } images; resolves to the raw response text.
+ *                           options.signal (an AbortSignal) cancels the call
+ */
+
+const GeminiProvider = require('./gemini');
+const OpenAIProvider = require('./openai');
+const OllamaProvider = require('./ollama');
+const MockProvider = require('./mock');
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+    ollama: OllamaProvider,
+    mock: MockProvider
+};
+
+/**
+ * Build provider options (and the converter's retry and cache settings) from environment variables
+ */
+function providerConfigFromEnv(env = process.env) {
+    const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const apiKeys = {
+        gemini: env.GEMINI_API_KEY,
+        openai: env.LLM_API_KEY || env.OPENAI_API_KEY
+    };
+    return {
+        provider,
+        apiKey: apiKeys[provider] || env.LLM_API_KEY,
+        model: env.LLM_MODEL,
+        baseUrl: env.LLM_BASE_URL,
+        responseFile: env.MOCK_RESPONSE_FILE,
+        delay: env.MOCK_DELAY_MS,
+        failures: env.MOCK_FAILURES,
+        retries: env.LLM_RETRIES,
+        timeout: env.LLM_TIMEOUT_MS,
+        cacheDir: env.EXTRACTION_CACHE_DIR,
+        cacheSize: env.EXTRACTION_CACHE_SIZE
+    };
+}
+
+/**
+ * Create a provider instance from a config object ({ provider, apiKey, model, baseUrl, ... })
+ */
+function createProvider(config = {}) {
+    const name = (config.provider || 'gemini').toLowerCase();
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(
+            `Unknown LLM provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+        );
+    }
+    return new Provider(config);
+}
+
+module.exports = {
+    PROVIDERS,
+    createProvider,
+    providerConfigFromEnv
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+
+const DEFAULT_RESPONSE = {
+    events: [
+        {
+            title: 'Mock Event',
+            description: 'Generated by the mock provider',
+            start_time: '2024-01-15 09:00',
+            end_time: '2024-01-15 10:00',
+            location: 'Room 101'
+        }
+    ]
+};
+
+/**
+ * Deterministic provider for tests and offline CI. Never touches the network;
+ * returns a fixed response (from options.response, options.responseFile or the built-in sample)
+ * and records every call in `calls`. options.delay (ms) makes it answer slowly, like a real model,
+ * to try out progress reporting and cancellation, and options.failures (HTTP statuses, e.g. "429,503")
+ * makes the first calls fail with those statuses, to try out retries.
+ */
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.modelName = 'mock';
+        this.calls = [];
+        this.delay = parseInt(options.delay) || 0;
+        this.failures = String(options.failures || '').split(',').map(status => parseInt(status)).filter(Boolean);
+
+        let response = options.response;
+        if (response === undefined && options.responseFile) {
+            response = fs.readFileSync(options.responseFile, 'utf-8');
+        }
+        if (response === undefined) {
+            response = DEFAULT_RESPONSE;
+        }
+        this.response = typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    async generate(parts, options = {}) {
+        this.calls.push(parts);
+        if (this.delay > 0) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, this.delay);
+                if (options.signal) {
+                    options.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(options.signal.reason);
+                    }, { once: true });
+                }
+            });
+        }
+        if (this.failures.length > 0) {
+            const error = new Error(`Mock API error (${this.failures[0]})`);
+            error.status = this.failures.shift();
+            throw error;
+        }
+        return this.response;
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,55 @@
+const { parseRetryAfter } = require('../lib/retry');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+const DEFAULT_MODEL = 'llama3.2-vision';
+
+/**
+ * Local Ollama-style server provider (POST {baseUrl}/api/chat)
+ */
+class OllamaProvider {
+    constructor(options = {}) {
+        this.name = 'ollama';
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.modelName = options.model || DEFAULT_MODEL;
+    }
+
+    async generate(parts, options = {}) {
+        const text = parts.filter(part => typeof part === 'string').join('\n\n');
+        const images = parts
+            .filter(part => typeof part !== 'string')
+            .map(part => part.inlineData.data);
+
+        const message = { role: 'user', content: text };
+        if (images.length > 0) {
+            message.images = images;
+        }
+
+        console.log(`Using model: ${this.modelName} at ${this.baseUrl}`);
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.modelName,
+                messages: [message],
+                format: 'json',
+                stream: false,
+                options: { temperature: 0 }
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`Ollama API error (${response.status}): ${body}`);
+            // Read by lib/retry to decide whether and when to try again
+            error.status = response.status;
+            error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+            throw error;
+        }
+
+        const data = await response.json();
+        return data.message.content;
+    }
+}
+
+module.exports = OllamaProvider;
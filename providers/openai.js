@@ -0,0 +1,66 @@
+const { parseRetryAfter } = require('../lib/retry');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * OpenAI-compatible chat completions provider. Works with any server that
+ * implements POST {baseUrl}/chat/completions (OpenAI, Azure proxies, vLLM, LM Studio, ...)
+ */
+class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.modelName = options.model || DEFAULT_MODEL;
+        this.apiKey = options.apiKey || null;
+    }
+
+    /**
+     * Convert Gemini-style parts into OpenAI message content
+     */
+    toMessageContent(parts) {
+        return parts.map(part => {
+            if (typeof part === 'string') {
+                return { type: 'text', text: part };
+            }
+            const { data, mimeType } = part.inlineData;
+            return {
+                type: 'image_url',
+                image_url: { url: `data:${mimeType};base64,${data}` }
+            };
+        });
+    }
+
+    async generate(parts, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        console.log(`Using model: ${this.modelName} at ${this.baseUrl}`);
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.modelName,
+                messages: [{ role: 'user', content: this.toMessageContent(parts) }],
+                temperature: 0
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`OpenAI-compatible API error (${response.status}): ${body}`);
+            // Read by lib/retry to decide whether and when to try again
+            error.status = response.status;
+            error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+            throw error;
+        }
+
+        const data = await response.json();
+        return data.choices[0].message.content;
+    }
+}
+
+module.exports = OpenAIProvider;
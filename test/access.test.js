@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const CalendarConverter = require('../calendar-converter');
+const { createApp } = require('../lib/app');
+const { JobQueue } = require('../lib/jobs');
+const { AccessControl, trustProxyFromEnv } = require('../lib/access');
+
+/**
+ * Run the middleware on a fake request: the response, and whether it let the request through.
+ * finish(status) ends the response, as Express does once a route has answered.
+ */
+function check(access, headers = {}) {
+    const req = { ip: '203.0.113.7', get: name => headers[name.toLowerCase()] };
+    const res = Object.assign(new EventEmitter(), {
+        statusCode: 200,
+        headers: {},
+        headersSent: false,
+        writableFinished: false,
+        locals: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        finish(status = 200) {
+            this.statusCode = status;
+            this.headersSent = true;
+            this.writableFinished = true;
+            this.emit('close');
+        }
+    });
+    let passed = false;
+    access.middleware()(req, res, () => { passed = true; });
+    return { res, passed };
+}
+
+/**
+ * Start the app on a free port; resolves to its base URL and a close function
+ */
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+describe('AccessControl', () => {
+    it('rejects unknown keys, and requests without one when keys are required', () => {
+        const access = new AccessControl({ keys: 'alice:secret', requireKey: true });
+        assert.equal(check(access).res.body.code, 'unauthorized');
+        assert.equal(check(access, { 'x-api-key': 'wrong' }).res.statusCode, 401);
+        assert.equal(check(access, { 'x-api-key': 'secret' }).passed, true);
+    });
+
+    it('counts requests when they are admitted, so requests still running hold their slot', () => {
+        const access = new AccessControl({ ipRateLimit: 2 });
+        assert.equal(check(access).passed, true);
+        const { res } = check(access);
+        assert.equal(res.headers['RateLimit-Remaining'], '0');
+
+        const limited = check(access);
+        assert.equal(limited.passed, false);
+        assert.equal(limited.res.statusCode, 429);
+        assert.equal(limited.res.body.code, 'too_many_requests');
+    });
+
+    it('gives the slot back to requests that fail or never call the model', () => {
+        const access = new AccessControl({ ipRateLimit: 1 });
+        check(access).res.finish(400);
+        check(access).res.finish(200);
+        const { res } = check(access);
+        res.locals.usage.modelCalled();
+        res.finish(200);
+        assert.equal(check(access).res.body.code, 'too_many_requests');
+        assert.equal(access.describe(access.identify({ ip: '203.0.113.7' }, null)).dailyQuota.used, 1);
+    });
+
+    it('applies the daily quota', () => {
+        const access = new AccessControl({ ipRateLimit: 0, ipDailyQuota: 1 });
+        const { res: first } = check(access);
+        first.locals.usage.modelCalled();
+        first.finish();
+        const { res } = check(access);
+        assert.equal(res.body.code, 'quota_exceeded');
+        assert.ok(res.body.retryAfter > 0);
+    });
+
+    it('counts queued jobs against the limits', async () => {
+        const converter = new CalendarConverter({ provider: 'mock', delay: 100, cache: false });
+        const jobs = new JobQueue({ concurrency: 1, retries: 0 });
+        const access = new AccessControl({ ipRateLimit: 2, ipDailyQuota: 2 });
+        const { url, close } = await listen(createApp({ converter, jobs, access }));
+        try {
+            const statuses = [];
+            for (let i = 0; i < 4; i++) {
+                const response = await fetch(`${url}/api/jobs`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ text: `Exam ${i}` })
+                });
+                statuses.push(response.status);
+            }
+            assert.deepEqual(statuses, [202, 202, 429, 429]);
+
+            await jobs.onIdle();
+            const usage = await (await fetch(`${url}/api/usage`)).json();
+            assert.equal(usage.dailyQuota.used, 2);
+        } finally {
+            await close();
+        }
+    });
+
+    it('gives a job\'s slot back when it fails', async () => {
+        const converter = new CalendarConverter({ provider: 'mock', failures: '400', cache: false });
+        const jobs = new JobQueue({ retries: 0 });
+        const access = new AccessControl({ ipRateLimit: 1 });
+        const { url, close } = await listen(createApp({ converter, jobs, access }));
+        try {
+            const post = () => fetch(`${url}/api/jobs`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: 'Exam' })
+            });
+            assert.equal((await post()).status, 202);
+            await jobs.onIdle();
+            assert.equal((await post()).status, 202);
+        } finally {
+            await close();
+        }
+    });
+});
+
+describe('trustProxyFromEnv', () => {
+    it('reads booleans, hop counts and addresses', () => {
+        assert.equal(trustProxyFromEnv({}), undefined);
+        assert.equal(trustProxyFromEnv({ TRUST_PROXY: 'false' }), false);
+        assert.equal(trustProxyFromEnv({ TRUST_PROXY: '1' }), 1);
+        assert.equal(trustProxyFromEnv({ TRUST_PROXY: 'loopback' }), 'loopback');
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ExtractionCache } = require('../lib/cache');
+
+const key = name => crypto.createHash('sha256').update(name).digest('hex');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-cache-'));
+}
+
+/**
+ * Date a cache file back, as if it was last used that many seconds ago
+ */
+function age(dir, name, seconds) {
+    const time = new Date(Date.now() - seconds * 1000);
+    fs.utimesSync(path.join(dir, `${key(name)}.json`), time, time);
+}
+
+describe('ExtractionCache', () => {
+    it('keeps the most recently used entries in memory', async () => {
+        const cache = new ExtractionCache({ maxEntries: 2 });
+        await cache.set(key('a'), { events: ['a'] });
+        await cache.set(key('b'), { events: ['b'] });
+        await cache.get(key('a'));
+        await cache.set(key('c'), { events: ['c'] });
+        assert.deepEqual(await cache.get(key('a')), { events: ['a'] });
+        assert.equal(await cache.get(key('b')), null);
+    });
+
+    it('reads entries written by another instance from disk', async () => {
+        const dir = tempDir();
+        await new ExtractionCache({ dir }).set(key('a'), { events: ['a'] });
+        assert.deepEqual(await new ExtractionCache({ dir }).get(key('a')), { events: ['a'] });
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it('holds the directory to maxEntries, dropping the files used longest ago', async () => {
+        const dir = tempDir();
+        const cache = new ExtractionCache({ dir, maxEntries: 2 });
+        await cache.set(key('a'), { events: ['a'] });
+        await cache.set(key('b'), { events: ['b'] });
+        age(dir, 'a', 60);
+        age(dir, 'b', 120);
+        await cache.set(key('c'), { events: ['c'] });
+
+        assert.deepEqual(fs.readdirSync(dir).sort(), [`${key('a')}.json`, `${key('c')}.json`].sort());
+        assert.equal(await new ExtractionCache({ dir }).get(key('b')), null);
+        fs.rmSync(dir, { recursive: true });
+    });
+});
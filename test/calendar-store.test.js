@@ -0,0 +1,135 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CalendarConverter = require('../calendar-converter');
+const { createApp } = require('../lib/app');
+const { AccessControl } = require('../lib/access');
+const { CalendarStore, assignEventIdentities } = require('../lib/calendar-store');
+
+const dirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-store-'));
+    dirs.push(dir);
+    return dir;
+}
+
+after(() => {
+    for (const dir of dirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+/**
+ * Start the app on a free port; resolves to its base URL and a close function
+ */
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+const lecture = { title: 'Lecture', type: 'lecture', start_time: '2024-09-03 10:00', source: 'CS 101' };
+const exam = { title: 'Midterm', type: 'exam', start_time: '2024-10-15 09:00', source: 'CS 101' };
+
+describe('assignEventIdentities', () => {
+    it('keeps the UID of matching events, raising SEQUENCE only for changed ones', () => {
+        const previous = assignEventIdentities([], [lecture, exam]);
+        assert.ok(previous.every(eventData => eventData.uid && eventData.sequence === 0));
+
+        const next = assignEventIdentities(previous, [lecture, { ...exam, start_time: '2024-10-16 09:00' }]);
+        assert.deepEqual(next.map(eventData => eventData.uid), previous.map(eventData => eventData.uid));
+        assert.deepEqual(next.map(eventData => eventData.sequence), [0, 1]);
+    });
+
+    it('prefers the uid a client sent back, and raises every SEQUENCE when the options changed', () => {
+        const previous = assignEventIdentities([], [lecture, exam]);
+        const renamed = { ...exam, title: 'Midterm exam', uid: previous[1].uid };
+        const next = assignEventIdentities(previous, [lecture, renamed], true);
+        assert.equal(next[1].uid, previous[1].uid);
+        assert.deepEqual(next.map(eventData => eventData.sequence), [1, 1]);
+    });
+
+    it('gives new events a fresh UID', () => {
+        const previous = assignEventIdentities([], [lecture]);
+        const [, added] = assignEventIdentities(previous, [lecture, exam]);
+        assert.notEqual(added.uid, previous[0].uid);
+        assert.equal(added.sequence, 0);
+    });
+});
+
+describe('CalendarStore', () => {
+    it('saves, updates and deletes calendars, storing only a hash of the token', async () => {
+        const store = new CalendarStore(tempDir());
+        const { calendar, token } = await store.create({ name: 'CS 101', events: [lecture] });
+        assert.equal(JSON.stringify(await store.get(calendar.id)).includes(token), false);
+        assert.equal(store.verifyToken(calendar, token), true);
+        assert.equal(store.verifyToken(calendar, 'wrong'), false);
+
+        const updated = await store.update(calendar.id, { events: [lecture, exam] });
+        assert.equal(updated.name, 'CS 101');
+        assert.equal(updated.events[0].uid, calendar.events[0].uid);
+        assert.equal((await store.get(calendar.id)).events.length, 2);
+
+        assert.equal(await store.delete(calendar.id), true);
+        assert.equal(await store.get(calendar.id), null);
+        assert.equal(await store.update(calendar.id, { events: [] }), null);
+    });
+
+    it('ignores ids that could reach outside its directory', async () => {
+        const store = new CalendarStore(tempDir());
+        assert.equal(await store.get('../../package'), null);
+        assert.equal(await store.delete('../../package'), false);
+    });
+});
+
+describe('calendar feeds', () => {
+    it('serve a saved calendar and keep its UIDs across updates', async () => {
+        const converter = new CalendarConverter({ provider: 'mock', cache: false });
+        const store = new CalendarStore(tempDir());
+        const { url, close } = await listen(createApp({ converter, store, access: new AccessControl() }));
+        try {
+            const send = (method, target, body, token) => fetch(`${url}${target}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                },
+                body: body && JSON.stringify(body)
+            });
+
+            const created = await send('POST', '/api/calendars', { name: 'CS 101', events: [lecture, exam] });
+            assert.equal(created.status, 201);
+            const { id, token, url: feedUrl, webcalUrl } = await created.json();
+            assert.equal(feedUrl, `${url}/api/calendars/${id}.ics`);
+            assert.ok(webcalUrl.startsWith('webcal://'));
+
+            const feed = await fetch(feedUrl);
+            assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+            const ics = await feed.text();
+            assert.match(ics, /X-WR-CALNAME:CS 101/);
+            const uids = ics.match(/^UID:.+$/gm);
+            assert.equal(uids.length, 2);
+
+            const moved = { ...exam, start_time: '2024-10-16 09:00' };
+            assert.equal((await send('PUT', `/api/calendars/${id}`, { events: [lecture, moved] })).status, 403);
+            assert.equal((await send('PUT', `/api/calendars/${id}`, { events: [lecture, moved] }, token)).status, 200);
+
+            const updated = await (await fetch(feedUrl)).text();
+            assert.deepEqual(updated.match(/^UID:.+$/gm), uids);
+            assert.match(updated, /SEQUENCE:1/);
+
+            assert.equal((await send('DELETE', `/api/calendars/${id}`, null, token)).status, 204);
+            assert.equal((await fetch(feedUrl)).status, 404);
+        } finally {
+            await close();
+        }
+    });
+});
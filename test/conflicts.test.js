@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { findConflicts } = require('../lib/conflicts');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+describe('findConflicts', () => {
+    it('reports overlapping events with the overlap', () => {
+        const conflicts = findConflicts(converter, [
+            { title: 'Lab', start_time: '2024-09-03 10:00', end_time: '2024-09-03 12:00' },
+            { title: 'Seminar', start_time: '2024-09-03 11:00', end_time: '2024-09-03 13:00' },
+            { title: 'Lunch', start_time: '2024-09-03 13:00', end_time: '2024-09-03 14:00' }
+        ]);
+        assert.deepEqual(conflicts, [{
+            events: [{ index: 0, title: 'Lab' }, { index: 1, title: 'Seminar' }],
+            start: '2024-09-03 11:00',
+            end: '2024-09-03 12:00',
+            occurrences: 1
+        }]);
+    });
+
+    it('counts the overlapping occurrences of two series', () => {
+        const [conflict] = findConflicts(converter, [
+            { title: 'Lab', start_time: '2024-09-02 10:00', recurrence: { days: ['Mon', 'Wed'], count: 4 } },
+            { title: 'Lecture', start_time: '2024-09-02 10:30', recurrence: { days: ['Mon'], count: 3 } }
+        ]);
+        assert.equal(conflict.start, '2024-09-02 10:30');
+        assert.equal(conflict.occurrences, 2);
+    });
+
+    it('compares events in different time zones by the instant they happen', () => {
+        const events = [
+            { title: 'Call', start_time: '2024-09-03 15:00', timezone: 'Europe/London' },
+            { title: 'Lecture', start_time: '2024-09-03 10:00' }
+        ];
+        assert.equal(findConflicts(converter, events, { timezone: 'America/New_York' }).length, 1);
+        assert.equal(findConflicts(converter, events, { timezone: 'Europe/London' }).length, 0);
+    });
+
+    it('leaves out all-day events and deadlines', () => {
+        assert.deepEqual(findConflicts(converter, [
+            { title: 'Holiday', start_time: '2024-09-03', end_time: '2024-09-03' },
+            { title: 'Essay due', type: 'assignment', start_time: '2024-09-03 10:30' },
+            { title: 'Lecture', start_time: '2024-09-03 10:00' }
+        ]), []);
+    });
+
+    it('checks existing events against the new ones only', () => {
+        const conflicts = findConflicts(converter, [
+            { title: 'Lecture', start_time: '2024-09-03 10:00' }
+        ], {
+            existing: [
+                { title: 'Dentist', start_time: '2024-09-03 10:30' },
+                { title: 'Meeting', start_time: '2024-09-03 10:30' }
+            ]
+        });
+        assert.deepEqual(conflicts.map(conflict => conflict.events), [
+            [{ index: 0, title: 'Lecture' }, { index: 0, title: 'Dentist', existing: true }],
+            [{ index: 0, title: 'Lecture' }, { index: 1, title: 'Meeting', existing: true }]
+        ]);
+    });
+});
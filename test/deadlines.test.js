@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+const events = [
+    { title: 'HW3', type: 'assignment', start_time: '2024-03-15 23:59' },
+    { title: 'Lecture', type: 'lecture', start_time: '2024-03-15 10:00' }
+];
+
+/**
+ * The VEVENT and VTODO blocks of a calendar
+ */
+function components(ics) {
+    return ics.match(/BEGIN:(VEVENT|VTODO)[\s\S]*?END:\1/g);
+}
+
+describe('deadlines', () => {
+    it('exports deadlines as events ending at the due time, not an hour later', () => {
+        const [deadline, lecture] = components(converter.buildCalendar({ events }));
+        assert.match(deadline, /DTSTART:20240315T235900/);
+        assert.doesNotMatch(deadline, /DTEND/);
+        assert.match(lecture, /DTEND:20240315T110000/);
+    });
+
+    it('keeps a deadline with an end time as it is', () => {
+        const [deadline] = components(converter.buildCalendar({
+            events: [{ ...events[0], start_time: '2024-03-15 22:00', end_time: '2024-03-15 23:00' }]
+        }));
+        assert.match(deadline, /DTEND:20240315T230000/);
+    });
+
+    it('exports deadlines as tasks in todo mode, and as both in both mode', () => {
+        const todo = components(converter.buildCalendar({ events }, { deadlines: 'todo' }));
+        assert.deepEqual(todo.map(block => block.split('\r\n')[0]), ['BEGIN:VEVENT', 'BEGIN:VTODO']);
+        assert.match(todo[1], /DUE:20240315T235900/);
+
+        const both = components(converter.buildCalendar({ events }, { deadlines: 'both' }));
+        assert.deepEqual(both.map(block => block.split('\r\n')[0]), ['BEGIN:VEVENT', 'BEGIN:VEVENT', 'BEGIN:VTODO']);
+        assert.doesNotMatch(both[0], /DTEND/);
+    });
+
+    it('lists deadlines in CSV exports ending at the due time', () => {
+        const { content } = converter.pipeline.render({ events }, { format: 'csv', deadlines: 'todo' });
+        assert.match(content, /^HW3,Assignment,2024-03-15 23:59,2024-03-15 23:59,false/m);
+    });
+});
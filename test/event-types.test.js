@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { normalizeEventType, applyEventColors } = require('../lib/event-types');
+const { validateEventsData } = require('../lib/validation');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+describe('normalizeEventType', () => {
+    it('maps types and their aliases to EVENT_TYPES', () => {
+        assert.equal(normalizeEventType('Lecture'), 'lecture');
+        assert.equal(normalizeEventType('office hours'), 'office_hours');
+        assert.equal(normalizeEventType('Quiz'), 'exam');
+        assert.equal(normalizeEventType('homework'), 'assignment');
+        assert.equal(normalizeEventType('midterm'), 'exam');
+    });
+
+    it('goes by the last known word of several', () => {
+        assert.equal(normalizeEventType('final exam'), 'exam');
+        assert.equal(normalizeEventType('final_project'), 'assignment');
+        assert.equal(normalizeEventType('lab session'), 'lab');
+        assert.equal(normalizeEventType('Problem-Set'), 'assignment');
+    });
+
+    it('makes unknown and missing types "other"', () => {
+        assert.equal(normalizeEventType('party'), 'other');
+        assert.equal(normalizeEventType(undefined), 'other');
+    });
+});
+
+describe('validateEventsData', () => {
+    it('normalizes the types of extracted events', () => {
+        const { events } = validateEventsData({
+            events: [
+                { title: 'Quiz 1', type: 'quiz', start_time: '2024-09-06 09:00' },
+                { title: 'Untyped', start_time: '2024-09-06 10:00' }
+            ]
+        }, converter);
+        assert.equal(events[0].type, 'exam');
+        assert.equal(events[1].type, undefined);
+    });
+});
+
+describe('applyEventColors', () => {
+    it('puts COLOR before the event\'s alarms', () => {
+        const ics = converter.buildCalendar({
+            events: [
+                { title: 'Midterm', type: 'exam', start_time: '2024-10-15 09:00' },
+                { title: 'Party', start_time: '2024-10-16 18:00' },
+                { title: 'Lecture', type: 'lecture', start_time: '2024-10-17 10:00' }
+            ]
+        }, { reminders: [15] });
+        const events = ics.match(/BEGIN:VEVENT[\s\S]*?END:VEVENT/g);
+        assert.match(events[0], /COLOR:crimson\r\nBEGIN:VALARM/);
+        assert.doesNotMatch(events[1], /COLOR/);
+        assert.match(events[2], /COLOR:royalblue\r\nBEGIN:VALARM/);
+        assert.doesNotMatch(events[0].slice(events[0].indexOf('END:VALARM')), /COLOR/);
+    });
+
+    it('adds COLOR at the end of events without alarms', () => {
+        const ics = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nSUMMARY:A\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n';
+        assert.equal(applyEventColors(ics, ['teal']),
+            'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nSUMMARY:A\r\nCOLOR:teal\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n');
+    });
+});
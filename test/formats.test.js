@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { resolveFormat, renderEvents } = require('../lib/formats');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+const events = [
+    {
+        title: 'Lab, "A"',
+        type: 'lab',
+        start_time: '2024-09-03 14:00',
+        end_time: '2024-09-03 15:30',
+        location: 'Room 1',
+        recurrence: { days: ['Tue'], count: 2 }
+    },
+    { title: 'Break', start_time: '2024-10-14', end_time: '2024-10-15' }
+];
+
+/**
+ * The rendered content's lines, without the trailing empty one
+ */
+function lines(format, options = {}) {
+    return renderEvents(converter, events, { format, reminders: [], ...options }).content.trimEnd().split('\r\n');
+}
+
+describe('resolveFormat', () => {
+    it('defaults to ics and reads aliases', () => {
+        assert.equal(resolveFormat(undefined), 'ics');
+        assert.equal(resolveFormat(''), 'ics');
+        assert.equal(resolveFormat('iCal'), 'ics');
+        assert.equal(resolveFormat(' Google '), 'google-csv');
+        assert.equal(resolveFormat('outlook'), 'outlook-csv');
+        assert.equal(resolveFormat('jcs'), 'jcal');
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => resolveFormat('xlsx'), /Unsupported format "xlsx"/);
+    });
+});
+
+describe('renderEvents', () => {
+    it('returns the content type and extension of the format', () => {
+        const { contentType, extension } = renderEvents(converter, events, { format: 'google-csv' });
+        assert.equal(contentType, 'text/csv');
+        assert.equal(extension, 'csv');
+    });
+
+    it('writes JSON events unchanged', () => {
+        const { content } = renderEvents(converter, events, { format: 'json' });
+        assert.deepEqual(JSON.parse(content), { events });
+    });
+
+    it('writes one CSV row per occurrence, quoting fields and giving all-day events their last day', () => {
+        assert.deepEqual(lines('csv'), [
+            'Title,Type,Start,End,All Day,Location,Description,Source',
+            '"Lab, ""A""",Lab,2024-09-03 14:00,2024-09-03 15:30,false,Room 1,,',
+            '"Lab, ""A""",Lab,2024-09-10 14:00,2024-09-10 15:30,false,Room 1,,',
+            'Break,,2024-10-14,2024-10-15,true,,,'
+        ]);
+    });
+
+    it('writes Google Calendar CSV with US dates and 12-hour times', () => {
+        const rows = lines('google-csv');
+        assert.equal(rows[0], 'Subject,Start Date,Start Time,End Date,End Time,All Day Event,Description,Location');
+        assert.equal(rows[1], '"Lab, ""A""",09/03/2024,2:00 PM,09/03/2024,3:30 PM,False,,Room 1');
+        assert.equal(rows[3], 'Break,10/14/2024,,10/15/2024,,True,,');
+    });
+
+    it('writes Outlook CSV with the reminder closest to the event', () => {
+        const rows = lines('outlook-csv', { reminders: [60, 15] });
+        assert.equal(rows[1], '"Lab, ""A""",9/3/2024,2:00:00 PM,9/3/2024,3:30:00 PM,False,True,9/3/2024,1:45:00 PM,'
+            + 'Lab,,Room 1');
+        assert.match(lines('outlook-csv')[1], /,False,False,,,Lab,,Room 1$/);
+    });
+
+    it('writes jCal with typed values and the recurrence as an object', () => {
+        const [name, properties, components] = JSON.parse(
+            renderEvents(converter, events, { format: 'jcal', timezone: 'America/New_York', reminders: [] }).content
+        );
+        assert.equal(name, 'vcalendar');
+        assert.deepEqual(properties.find(([key]) => key === 'version'), ['version', {}, 'text', '2.0']);
+
+        assert.deepEqual(components.map(([component]) => component), ['vtimezone', 'vevent', 'vevent']);
+        const [lab, fallBreak] = components.slice(1).map(([, props]) => props);
+        assert.deepEqual(lab.find(([key]) => key === 'dtstart'),
+            ['dtstart', { tzid: 'America/New_York' }, 'date-time', '2024-09-03T14:00:00']);
+        assert.deepEqual(lab.find(([key]) => key === 'rrule'),
+            ['rrule', {}, 'recur', { freq: 'WEEKLY', byday: 'TU', count: 2 }]);
+        assert.deepEqual(fallBreak.find(([key]) => key === 'dtend'), ['dtend', {}, 'date', '2024-10-16']);
+    });
+});
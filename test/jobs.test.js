@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/jobs');
+const { ConversionError } = require('../lib/errors');
+
+describe('JobQueue', () => {
+    it('runs a job and keeps its result', async () => {
+        const queue = new JobQueue();
+        const job = queue.add(async () => 'done');
+        await queue.onIdle();
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.result, 'done');
+        assert.equal(job.attempts, 1);
+    });
+
+    it('retries unexpected failures', async () => {
+        const queue = new JobQueue({ retries: 2, retryDelay: 0 });
+        let calls = 0;
+        const job = queue.add(async () => {
+            if (++calls < 3) throw new Error('disk full');
+            return 'done';
+        });
+        await queue.onIdle();
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.attempts, 3);
+    });
+
+    it('does not retry ConversionErrors, which the model call already retried', async () => {
+        const queue = new JobQueue({ retries: 2, retryDelay: 0 });
+        for (const code of ['rate_limited', 'upstream_unavailable', 'invalid_input']) {
+            const job = queue.add(async () => {
+                throw new ConversionError(code, 'failed');
+            });
+            await queue.onIdle();
+            assert.equal(job.status, 'failed', code);
+            assert.equal(job.attempts, 1, code);
+            assert.equal(queue.describe(job).errorCode, code);
+        }
+    });
+});
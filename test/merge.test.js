@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { mergeWithExisting, parseCalendar } = require('../lib/merge');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+const lecture = { title: 'Lecture', type: 'lecture', start_time: '2024-09-02 10:00', location: 'Room 101', source: 'CS 101' };
+const exam = { title: 'Midterm', type: 'exam', start_time: '2024-10-15 09:00', source: 'CS 101' };
+
+function merge(previous, next) {
+    return mergeWithExisting(converter.buildCalendar({ events: next }), converter.buildCalendar({ events: previous }));
+}
+
+function events(content) {
+    return parseCalendar(content).components.filter(component => component.name === 'VEVENT');
+}
+
+function value(component, name) {
+    const line = component.lines.find(item => item.startsWith(`${name}:`));
+    return line && line.slice(name.length + 1);
+}
+
+describe('mergeWithExisting', () => {
+    it('leaves out events that are already in the existing calendar', () => {
+        const result = merge([lecture, exam], [lecture, exam]);
+        assert.deepEqual([result.added, result.changed, result.unchanged], [0, 0, 2]);
+        assert.equal(events(result.content).length, 0);
+    });
+
+    it('updates an event that moved or changed room under its existing UID', () => {
+        const previousUid = value(events(converter.buildCalendar({ events: [lecture] }))[0], 'UID');
+        const result = merge([lecture, exam], [{ ...lecture, start_time: '2024-09-03 11:00', location: 'Room 202' }, exam]);
+        assert.deepEqual([result.added, result.changed, result.unchanged], [0, 1, 1]);
+
+        const [updated] = events(result.content);
+        assert.equal(value(updated, 'UID'), previousUid);
+        assert.equal(value(updated, 'SEQUENCE'), '1');
+        assert.equal(value(updated, 'LOCATION'), 'Room 202');
+    });
+
+    it('adds events with a new title or from another source', () => {
+        const result = merge([lecture], [lecture, { ...lecture, source: 'MATH 200' }, exam]);
+        assert.deepEqual([result.added, result.changed, result.unchanged], [2, 0, 1]);
+    });
+
+    it('pairs repeated titles with the closest start', () => {
+        const quizzes = ['2024-09-06 09:00', '2024-09-20 09:00'].map(start_time => ({ title: 'Quiz', type: 'exam', start_time }));
+        const result = merge(quizzes, [quizzes[0], { ...quizzes[1], start_time: '2024-09-21 09:00' }]);
+        assert.deepEqual([result.added, result.changed, result.unchanged], [0, 1, 1]);
+        const secondUid = value(events(converter.buildCalendar({ events: [quizzes[1]] }))[0], 'UID');
+        assert.equal(value(events(result.content)[0], 'UID'), secondUid);
+    });
+});
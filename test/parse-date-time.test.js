@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+/**
+ * The wall-clock components of a parsed Date, as [year, month, day, hour, minute, second]
+ */
+function wallClock(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds()];
+}
+
+describe('parseDateTime', () => {
+    it('reads ISO dates with a space or "T" before the time', () => {
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15 14:00')), [2024, 3, 15, 14, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15T14:00')), [2024, 3, 15, 14, 0, 0]);
+    });
+
+    it('reads seconds and fractional seconds', () => {
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15T14:05:30')), [2024, 3, 15, 14, 5, 30]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15T14:05:30.250')), [2024, 3, 15, 14, 5, 30]);
+    });
+
+    it('defaults date-only input to 9:00', () => {
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15')), [2024, 3, 15, 9, 0, 0]);
+    });
+
+    it('accepts single-digit months, days and hours', () => {
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-3-5 9:30')), [2024, 3, 5, 9, 30, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('3/5/2024 9:30')), [2024, 3, 5, 9, 30, 0]);
+    });
+
+    it('reads 12-hour times', () => {
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15 2 PM')), [2024, 3, 15, 14, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15 2:30pm')), [2024, 3, 15, 14, 30, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15 9 a.m.')), [2024, 3, 15, 9, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15 12 AM')), [2024, 3, 15, 0, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15 12:15 PM')), [2024, 3, 15, 12, 15, 0]);
+    });
+
+    it('reads month-first dates by default and day-first ones with dateOrder DMY', () => {
+        assert.deepEqual(wallClock(converter.parseDateTime('03/04/2024 10:00')), [2024, 3, 4, 10, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('03/04/2024 10:00', { dateOrder: 'DMY' })),
+            [2024, 4, 3, 10, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('03-04-2024', { dateOrder: 'DMY' })),
+            [2024, 4, 3, 9, 0, 0]);
+    });
+
+    it('reads dotted dates day-first', () => {
+        assert.deepEqual(wallClock(converter.parseDateTime('15.03.2024 14:00')), [2024, 3, 15, 14, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('5.3.2024')), [2024, 3, 5, 9, 0, 0]);
+    });
+
+    it('converts "Z" and UTC offsets into the given time zone', () => {
+        const options = { timeZone: 'America/New_York' };
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15T18:00:00Z', options)), [2024, 3, 15, 14, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15T20:00:00+02:00', options)), [2024, 3, 15, 14, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15T13:00-0500', options)), [2024, 3, 15, 14, 0, 0]);
+        assert.deepEqual(wallClock(converter.parseDateTime('2024-03-15T23:30+05:30', options)), [2024, 3, 15, 14, 0, 0]);
+    });
+
+    it('applies UTC offsets without a time zone, converting into the system zone', () => {
+        assert.equal(converter.parseDateTime('2024-03-15T14:00:00+02:00').getTime(), Date.UTC(2024, 2, 15, 12));
+        assert.equal(converter.parseDateTime('2024-03-15T14:00Z').getTime(), Date.UTC(2024, 2, 15, 14));
+        assert.equal(converter.parseDateTime('2024-03-15 9:00 -0500').getTime(), Date.UTC(2024, 2, 15, 14));
+    });
+
+    it('rejects invalid dates and times', () => {
+        for (const input of ['2024-02-30', '13/01/2024', '2024-03-15 25:00', '2024-03-15 14', '2024-03-15 13 PM',
+            '2024-03-15 14:60', 'next Tuesday']) {
+            assert.throws(() => converter.parseDateTime(input), /Unable to parse date/, input);
+        }
+    });
+});
+
+describe('parseTime', () => {
+    it('returns the time and the offset in minutes east of UTC', () => {
+        assert.deepEqual(converter.parseTime('14:00'), { hour: 14, minute: 0, second: 0, offset: null });
+        assert.deepEqual(converter.parseTime('9:05:07'), { hour: 9, minute: 5, second: 7, offset: null });
+        assert.deepEqual(converter.parseTime('14:00Z'), { hour: 14, minute: 0, second: 0, offset: 0 });
+        assert.deepEqual(converter.parseTime('14:00+05:30'), { hour: 14, minute: 0, second: 0, offset: 330 });
+        assert.deepEqual(converter.parseTime('14:00-0800'), { hour: 14, minute: 0, second: 0, offset: -480 });
+        assert.deepEqual(converter.parseTime('14:00+02'), { hour: 14, minute: 0, second: 0, offset: 120 });
+    });
+
+    it('reads 12-hour times', () => {
+        assert.equal(converter.parseTime('3 PM').hour, 15);
+        assert.equal(converter.parseTime('3:45p.m.').minute, 45);
+        assert.equal(converter.parseTime('12am').hour, 0);
+    });
+
+    it('returns null for anything that is not a time', () => {
+        for (const input of ['14', '24:00', '0 PM', '9:7', 'noon']) {
+            assert.equal(converter.parseTime(input), null, input);
+        }
+    });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { parseTerm } = require('../lib/term');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+const { pipeline } = converter;
+
+describe('CalendarPipeline', () => {
+    it('extracts, normalizes and builds ICS', async () => {
+        const extracted = await pipeline.extract({ text: 'Mock schedule' });
+        assert.equal(extracted.events.length, 1);
+
+        const { events, warnings } = pipeline.normalize(extracted.events);
+        assert.deepEqual(warnings, []);
+
+        const ics = pipeline.toICS({ events });
+        assert.match(ics, /^BEGIN:VCALENDAR/);
+        assert.match(ics, /SUMMARY:Mock Event/);
+    });
+
+    it('builds ICS whatever format the options ask for, fitting series into the term', () => {
+        const term = parseTerm({ start: '2024-09-04', end: '2024-12-13' }, converter);
+        const ics = pipeline.toICS({
+            events: [{ title: 'Lab', start_time: '2024-09-05 14:00', recurrence: { frequency: 'WEEKLY', days: ['TH'] } }]
+        }, { format: 'csv', term });
+        assert.match(ics, /RRULE:FREQ=WEEKLY;BYDAY=TH;UNTIL=20241213/);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+/**
+ * The ICS text for a single event, without reminders
+ */
+function build(eventData, timezone) {
+    return converter.buildCalendar({ events: [eventData] }, { timezone, reminders: [] });
+}
+
+describe('buildRecurrenceRule', () => {
+    it('reads the frequency, interval and weekdays', () => {
+        assert.equal(converter.buildRecurrenceRule({ frequency: 'daily' }), 'FREQ=DAILY');
+        assert.equal(converter.buildRecurrenceRule({ frequency: 'weekly', interval: 2, days: ['Mon', 'Wed'] }),
+            'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE');
+        assert.equal(converter.buildRecurrenceRule({ days: ['Friday'] }), 'FREQ=WEEKLY;BYDAY=FR');
+    });
+
+    it('ends on COUNT, or on UNTIL when both are given', () => {
+        assert.equal(converter.buildRecurrenceRule({ frequency: 'weekly', count: 10 }), 'FREQ=WEEKLY;COUNT=10');
+        assert.equal(converter.buildRecurrenceRule({ frequency: 'weekly', count: 10, until: '2024-12-12' }),
+            'FREQ=WEEKLY;UNTIL=20241212T235959');
+    });
+
+    it('writes UNTIL as a date for all-day series and in UTC for zoned ones', () => {
+        assert.equal(converter.buildRecurrenceRule({ frequency: 'weekly', until: '2024-12-12' }, null, true),
+            'FREQ=WEEKLY;UNTIL=20241212');
+        assert.equal(converter.buildRecurrenceRule({ frequency: 'weekly', until: '2024-12-12' }, 'America/New_York'),
+            'FREQ=WEEKLY;UNTIL=20241213T045959Z');
+    });
+
+    it('rejects unknown frequencies', () => {
+        assert.throws(() => converter.buildRecurrenceRule({ frequency: 'fortnightly' }), /Unsupported recurrence frequency/);
+    });
+});
+
+describe('recurring events', () => {
+    it('emit one VEVENT with an RRULE, starting on the first listed weekday', () => {
+        const ics = build({
+            title: 'Lecture',
+            start_time: '2024-09-02 10:00',
+            end_time: '2024-09-02 11:00',
+            recurrence: { days: ['Tue', 'Thu'], until: '2024-12-12' }
+        });
+        assert.equal(ics.match(/BEGIN:VEVENT/g).length, 1);
+        assert.match(ics, /DTSTART:20240903T100000/);
+        assert.match(ics, /DTEND:20240903T110000/);
+        assert.match(ics, /RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20241212T235959/);
+    });
+
+    it('give EXDATE the start time of day, so it matches an occurrence', () => {
+        const ics = build({
+            title: 'Lecture',
+            start_time: '2024-09-03 10:00',
+            recurrence: { days: ['Tue'], exclude_dates: ['2024-10-15', '2024-11-26'] }
+        }, 'America/New_York');
+        assert.match(ics, /DTSTART;TZID=America\/New_York:20240903T100000/);
+        assert.match(ics, /EXDATE;TZID=America\/New_York:20241015T100000,20241126T100000/);
+    });
+
+    it('give all-day series date-only EXDATEs', () => {
+        const ics = build({
+            title: 'Office hours',
+            start_time: '2024-09-02',
+            end_time: '2024-09-02',
+            recurrence: { frequency: 'weekly', count: 3, exclude_dates: ['2024-09-09'] }
+        });
+        assert.match(ics, /DTSTART;VALUE=DATE:20240902/);
+        assert.match(ics, /RRULE:FREQ=WEEKLY;COUNT=3/);
+        assert.match(ics, /EXDATE;VALUE=DATE:20240909/);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { parseTerm, applyTerm } = require('../lib/term');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+// Wednesday 2024-09-04 to Friday 2024-12-13, with Thanksgiving week off
+const term = parseTerm({
+    start: '2024-09-04',
+    end: '2024-12-13',
+    blackouts: ['2024-11-25..2024-11-29']
+}, converter);
+
+function fit(eventData) {
+    return applyTerm([eventData], term, converter)[0];
+}
+
+describe('applyTerm', () => {
+    it('moves a weekly series dated before the term by whole weeks, keeping its weekday and times', () => {
+        const event = fit({
+            title: 'Lecture',
+            start_time: '2024-09-02 10:00',
+            end_time: '2024-09-02 11:15',
+            recurrence: { frequency: 'WEEKLY' }
+        });
+        // Monday 2024-09-02 -> the first Monday of the term
+        assert.equal(event.start_time, '2024-09-09 10:00');
+        assert.equal(event.end_time, '2024-09-09 11:15');
+    });
+
+    it('moves a series with listed days to the term start', () => {
+        const event = fit({
+            title: 'Lecture',
+            start_time: '2024-09-02 10:00',
+            end_time: '2024-09-02 11:00',
+            recurrence: { frequency: 'WEEKLY', days: ['MO', 'WE'] }
+        });
+        assert.equal(event.start_time, '2024-09-04 10:00');
+        assert.equal(event.end_time, '2024-09-04 11:00');
+    });
+
+    it('moves a daily series to the term start', () => {
+        const event = fit({ title: 'Standup', start_time: '2024-08-30 09:00', recurrence: { frequency: 'DAILY' } });
+        assert.equal(event.start_time, '2024-09-04 09:00');
+    });
+
+    it('ends the series at the term end and skips blackout days on its weekdays', () => {
+        const event = fit({
+            title: 'Lab',
+            start_time: '2024-09-05 14:00',
+            recurrence: { frequency: 'WEEKLY', days: ['TU', 'TH'] }
+        });
+        assert.equal(event.start_time, '2024-09-05 14:00');
+        assert.equal(event.recurrence.until, '2024-12-13');
+        assert.deepEqual(event.recurrence.exclude_dates, ['2024-11-26', '2024-11-28']);
+    });
+
+    it('leaves one-off events alone', () => {
+        const event = { title: 'Exam', start_time: '2024-08-01 09:00' };
+        assert.equal(fit(event), event);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { resolveTimeZone, zonedTimeToUtc, buildVTimezone, foldLine } = require('../lib/timezone');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+describe('resolveTimeZone', () => {
+    it('accepts IANA names and common abbreviations', () => {
+        assert.equal(resolveTimeZone('Europe/Berlin'), 'Europe/Berlin');
+        assert.equal(resolveTimeZone('pst'), 'America/Los_Angeles');
+        assert.equal(resolveTimeZone(' EST '), 'America/New_York');
+    });
+
+    it('returns null for unknown zones', () => {
+        assert.equal(resolveTimeZone('Mars/Olympus_Mons'), null);
+        assert.equal(resolveTimeZone(''), null);
+        assert.equal(resolveTimeZone(null), null);
+    });
+});
+
+describe('zonedTimeToUtc', () => {
+    it('converts wall-clock time on both sides of a DST change', () => {
+        assert.equal(zonedTimeToUtc(2024, 1, 15, 9, 0, 0, 'America/New_York'), Date.UTC(2024, 0, 15, 14));
+        assert.equal(zonedTimeToUtc(2024, 7, 15, 9, 0, 0, 'America/New_York'), Date.UTC(2024, 6, 15, 13));
+    });
+});
+
+describe('buildVTimezone', () => {
+    it('lists the standard and daylight transitions of each year', () => {
+        const block = buildVTimezone('America/New_York', 2024, 2024);
+        assert.match(block, /^BEGIN:VTIMEZONE\r\nTZID:America\/New_York\r\n/);
+        assert.match(block, /BEGIN:DAYLIGHT\r\nDTSTART:20240310T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400/);
+        assert.match(block, /BEGIN:STANDARD\r\nDTSTART:20241103T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500/);
+        assert.match(block, /END:VTIMEZONE\r\n$/);
+    });
+
+    it('gives zones without DST a single STANDARD component', () => {
+        const block = buildVTimezone('Asia/Tokyo', 2024, 2024);
+        assert.equal(block.match(/BEGIN:STANDARD/g).length, 1);
+        assert.doesNotMatch(block, /DAYLIGHT/);
+        assert.match(block, /TZOFFSETTO:\+0900/);
+    });
+});
+
+describe('foldLine', () => {
+    it('folds lines longer than 75 octets', () => {
+        const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+        const parts = folded.split('\r\n');
+        assert.equal(parts[0].length, 75);
+        assert.ok(parts[1].startsWith(' '));
+        assert.equal(folded.replace(/\r\n /g, ''), `DESCRIPTION:${'x'.repeat(100)}`);
+    });
+});
+
+describe('time zone-aware calendars', () => {
+    it('qualify event times with a TZID and add one VTIMEZONE per zone', () => {
+        const ics = converter.buildCalendar({
+            events: [
+                { title: 'Lecture', start_time: '2024-09-03 10:00', end_time: '2024-09-03 11:00' },
+                { title: 'Seminar', start_time: '2024-09-04 10:00', end_time: '2024-09-04 11:00' }
+            ]
+        }, { timezone: 'America/New_York', reminders: [] });
+        assert.equal(ics.match(/BEGIN:VTIMEZONE/g).length, 1);
+        assert.ok(ics.indexOf('END:VTIMEZONE') < ics.indexOf('BEGIN:VEVENT'));
+        assert.match(ics, /DTSTART;TZID=America\/New_York:20240903T100000/);
+        assert.match(ics, /DTEND;TZID=America\/New_York:20240903T110000/);
+    });
+
+    it('prefer an event\'s own time zone to the default', () => {
+        const ics = converter.buildCalendar({
+            events: [
+                { title: 'Call', start_time: '2024-09-03 10:00', timezone: 'Europe/London' },
+                { title: 'Lecture', start_time: '2024-09-03 15:00' }
+            ]
+        }, { timezone: 'America/New_York', reminders: [] });
+        assert.match(ics, /TZID:Europe\/London/);
+        assert.match(ics, /TZID:America\/New_York/);
+        assert.match(ics, /DTSTART;TZID=Europe\/London:20240903T100000/);
+        assert.match(ics, /DTSTART;TZID=America\/New_York:20240903T150000/);
+    });
+
+    it('leave all-day events and events without a zone floating', () => {
+        const ics = converter.buildCalendar({
+            events: [
+                { title: 'Holiday', start_time: '2024-09-02', end_time: '2024-09-02' },
+                { title: 'Lecture', start_time: '2024-09-03 10:00' }
+            ]
+        }, { reminders: [] });
+        assert.doesNotMatch(ics, /VTIMEZONE|TZID/);
+        assert.match(ics, /DTSTART;VALUE=DATE:20240902/);
+        assert.match(ics, /DTSTART:20240903T100000/);
+    });
+});
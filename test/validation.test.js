@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarConverter = require('../calendar-converter');
+const { validateEvent, validateEventsData } = require('../lib/validation');
+
+const converter = new CalendarConverter({ provider: 'mock', cache: false });
+
+describe('validateEvent', () => {
+    it('accepts a complete event', () => {
+        assert.deepEqual(validateEvent({
+            title: 'Lecture',
+            start_time: '2024-09-02 10:00',
+            end_time: '2024-09-02 11:00',
+            recurrence: { frequency: 'WEEKLY', days: ['MO'], exclude_dates: ['2024-09-16'] }
+        }, converter), []);
+    });
+
+    it('requires a title and a valid start_time', () => {
+        assert.deepEqual(validateEvent({ start_time: 'tomorrow' }, converter),
+            ['title is required', 'start_time "tomorrow" is not a valid date']);
+    });
+
+    it('rejects timed events that end before or when they start', () => {
+        for (const end_time of ['2024-09-02 09:00', '2024-09-02 10:00']) {
+            assert.deepEqual(validateEvent({ title: 'Lecture', start_time: '2024-09-02 10:00', end_time }, converter),
+                ['end_time must be after start_time'], end_time);
+        }
+    });
+
+    it('accepts all-day events that end on their first day', () => {
+        assert.deepEqual(validateEvent({ title: 'Holiday', start_time: '2024-09-02', end_time: '2024-09-02' }, converter), []);
+        assert.deepEqual(validateEvent({ title: 'Break', start_time: '2024-09-02', end_time: '2024-09-01' }, converter),
+            ['end_time must be after start_time']);
+    });
+
+    it('ignores a recurrence without a frequency or days, like buildEvent', () => {
+        assert.deepEqual(validateEvent({ title: 'Exam', start_time: '2024-09-02 10:00', recurrence: {} }, converter), []);
+    });
+
+    it('reports invalid recurrences', () => {
+        const [error] = validateEvent({ title: 'Lecture', start_time: '2024-09-02 10:00', recurrence: { frequency: 'HOURLY' } }, converter);
+        assert.match(error, /^recurrence: /);
+    });
+});
+
+describe('validateEventsData', () => {
+    it('keeps the valid events and reports the others', () => {
+        const result = validateEventsData({
+            events: [
+                { title: 'Exam', start_time: '2024-09-02 10:00' },
+                { title: 'Broken', start_time: '2024-09-02 10:00', end_time: '2024-09-02 10:00' }
+            ]
+        }, converter);
+        assert.equal(result.events.length, 1);
+        assert.deepEqual(result.warnings, [{ index: 1, title: 'Broken', errors: ['end_time must be after start_time'] }]);
+    });
+
+    it('rejects a response without an events array', () => {
+        assert.equal(validateEventsData({ items: [] }, converter).warnings.length, 1);
+    });
+});